@@ -0,0 +1,154 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+class ClientError extends Error {
+    constructor(code, message) {
+        super(message || `tinyfly replied ${code}`);
+        this.code = code;
+    }
+}
+
+// keys are binary, so every byte outside the unreserved set is percent-encoded
+const escape = (key) => {
+    const bytes = Buffer.isBuffer(key) ? key : Buffer.from(String(key));
+    let text = '';
+    for (let i = 0; i < bytes.length; i++) {
+        const c = bytes[i];
+        text += /[A-Za-z0-9\-.~]/.test(String.fromCharCode(c)) ? String.fromCharCode(c) : '%' + (c < 16 ? '0' : '') + c.toString(16).toUpperCase();
+    }
+    return text;
+};
+
+class Client {
+    constructor(options = {}) {
+        this._host = options.host || '127.0.0.1';
+        this._port = options.port || 17878;
+        this._transport = options.tls ? https : http;
+        // one agent keeps the sockets alive and reuses them between requests
+        this._agent = new this._transport.Agent(Object.assign(
+            { keepAlive: true, maxSockets: options.maxSockets || 8 },
+            typeof options.tls === 'object' ? options.tls : {}
+        ));
+        this._headers = {};
+        if (options.token) {
+            this._headers.authorization = 'Bearer ' + options.token;
+        } else if (options.user) {
+            this._headers.authorization = 'Basic ' + Buffer.from(options.user + ':' + (options.password || '')).toString('base64');
+        }
+        this._root = options.namespace ? 'db/' + escape(options.namespace) : 'nosql';
+    }
+    request(method, path, body = null, headers = {}) {
+        return new Promise((resolve, reject) => {
+            const request = this._transport.request({
+                host: this._host,
+                port: this._port,
+                agent: this._agent,
+                method,
+                path: '/' + path,
+                headers: Object.assign({}, this._headers, headers, body === null ? {} : { 'content-length': body.length })
+            }, response => {
+                const chunks = [];
+                response.on('data', chunk => {
+                    chunks.push(chunk);
+                });
+                response.on('end', () => {
+                    resolve({ code: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) });
+                });
+                response.on('error', reject);
+            });
+            request.on('error', reject);
+            request.end(body === null ? undefined : body);
+        });
+    }
+    _call(method, path, body, expected = [200]) {
+        if (body !== null && body !== undefined && !Buffer.isBuffer(body)) {
+            body = Buffer.from(String(body));
+        }
+        return this.request(method, path, body === undefined ? null : body)
+            .then(response => {
+                if (expected.indexOf(response.code) === -1) {
+                    throw new ClientError(response.code, response.body.toString() || undefined);
+                }
+                return response;
+            });
+    }
+    _path(key, action, query) {
+        return this._root + '/' + escape(key) + (action ? '/' + action : '') + (query ? '?' + query : '');
+    }
+    get(key) {
+        return this._call('GET', this._path(key), null, [200, 404])
+            .then(response => {
+                return response.code === 200 ? response.body : null;
+            });
+    }
+    has(key) {
+        return this._call('HEAD', this._path(key), null, [200, 404])
+            .then(response => {
+                return response.code === 200;
+            });
+    }
+    set(key, value, ttl = 0) {
+        return this._call('PUT', this._path(key, null, ttl > 0 ? 'ttl=' + ttl : null), value)
+            .then(() => true);
+    }
+    delete(key) {
+        return this._call('DELETE', this._path(key), null, [200, 404])
+            .then(response => {
+                return response.code === 200;
+            });
+    }
+    ttl(key) {
+        return this._call('GET', this._path(key, null, 'ttl'), null, [200, 404])
+            .then(response => {
+                return response.code === 200 ? Number(response.body.toString()) : null;
+            });
+    }
+    incr(key, by = 1) {
+        return this._call('POST', this._path(key, 'incr', 'by=' + by))
+            .then(response => {
+                return Number(response.body.toString());
+            });
+    }
+    scan(cursor = 0, count = 10, match = null) {
+        const query = `cursor=${cursor}&count=${count}` + (match === null ? '' : '&match=' + escape(match));
+        return this._call('GET', this._root + '?' + query)
+            .then(response => {
+                return JSON.parse(response.body.toString());
+            });
+    }
+    info() {
+        return this._call('GET', 'info')
+            .then(response => {
+                return JSON.parse(response.body.toString());
+            });
+    }
+    stats() {
+        return this._call('GET', 'admin/stats')
+            .then(response => {
+                return JSON.parse(response.body.toString());
+            });
+    }
+    // snapshot files are named relative to the server's snapshot directory
+    backup(file) {
+        return this._call('POST', 'snapshot/backup', file)
+            .then(() => true);
+    }
+    restore(file) {
+        return this._call('POST', 'snapshot/restore', file)
+            .then(() => true);
+    }
+    close() {
+        this._agent.destroy();
+    }
+}
+
+Client.ClientError = ClientError;
+
+module.exports = Client;
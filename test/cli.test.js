@@ -0,0 +1,113 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const Client = require('../client');
+const {Cli, tokenize, parse} = require('../tinyfly-cli');
+
+// a client keeping its keys in a Map, refusing keys starting with 'locked'
+class FakeClient {
+    constructor() {
+        this.keys = new Map();
+        this.calls = [];
+    }
+    get(key) {
+        this.calls.push(['get', key]);
+        return Promise.resolve(this.keys.has(key) ? Buffer.from(this.keys.get(key)) : null);
+    }
+    set(key, value) {
+        this.calls.push(['set', key, value]);
+        if (key.startsWith('locked')) {
+            return Promise.reject(new Client.ClientError(403, 'forbidden'));
+        }
+        this.keys.set(key, value);
+        return Promise.resolve(true);
+    }
+}
+
+class FakeOutput {
+    constructor() {
+        this.lines = [];
+    }
+    write(text) {
+        this.lines.push(...text.replace(/\n$/, '').split('\n'));
+    }
+}
+
+test('tokenize', async (t) => {
+    await t.test('blanks and quotes', () => {
+        assert.deepStrictEqual(tokenize('  set   key1 value1 '), ['set', 'key1', 'value1']);
+        assert.deepStrictEqual(tokenize('set "a key" \'a value\''), ['set', 'a key', 'a value']);
+        assert.deepStrictEqual(tokenize('set "" \'\''), ['set', '', '']);
+        assert.deepStrictEqual(tokenize('set a"b c"d'), ['set', 'ab cd']);
+        assert.deepStrictEqual(tokenize('set "it\'s" \'say "hi"\''), ['set', 'it\'s', 'say "hi"']);
+    });
+
+    await t.test('escapes only inside double quotes', () => {
+        assert.deepStrictEqual(tokenize('set k "a\\"b\\\\c\\n\\t\\x"'), ['set', 'k', 'a"b\\c\n\tx']);
+        assert.deepStrictEqual(tokenize('set k \'a\\nb\''), ['set', 'k', 'a\\nb']);
+        assert.deepStrictEqual(tokenize('set k a\\b'), ['set', 'k', 'a\\b']);
+    });
+
+    await t.test('unbalanced quotes', () => {
+        assert.throws(() => tokenize('set "key'), /unbalanced "/);
+        assert.throws(() => tokenize('set \'key'), /unbalanced '/);
+    });
+});
+
+test('parse', async (t) => {
+    await t.test('options and flags', () => {
+        const options = parse(['-h', 'db', '--port=17999', '--json', '--token', 't', 'get', 'k']);
+        assert.strictEqual(options.host, 'db');
+        assert.strictEqual(options.port, '17999');
+        assert.strictEqual(options.json, true);
+        assert.strictEqual(options.token, 't');
+        assert.deepStrictEqual(tokenize(options.command), ['get', 'k']);
+        assert.strictEqual(parse(['-f', '-']).file, '-');
+        assert.strictEqual(parse([]).command, '');
+    });
+
+    await t.test('bad options', () => {
+        assert.throws(() => parse(['--nope']), /unknown option '--nope'/);
+        assert.throws(() => parse(['--port']), /needs a value/);
+        assert.throws(() => parse(['--port', 'http']), /port must be a number/);
+    });
+
+    await t.test('command words are quoted back unchanged', () => {
+        const words = ['set', 'a key', 'say "hi" \\n', '', 'it\'s', '--json'];
+        assert.deepStrictEqual(tokenize(parse(words).command), words);
+    });
+});
+
+test('Cli.batch', async (t) => {
+    await t.test('skips comments and blank lines', async () => {
+        const client = new FakeClient();
+        const output = new FakeOutput();
+        const ok = await new Cli(client, { output }).batch('# fixtures\n\nset k1 "one"\n   \n  # indented\r\nget k1\n', 'fixtures.txt');
+        assert.strictEqual(ok, true);
+        assert.deepStrictEqual(client.calls, [['set', 'k1', 'one'], ['get', 'k1']]);
+        assert.deepStrictEqual(output.lines, ['OK', 'one']);
+    });
+
+    await t.test('stops at the first error and names its line', async () => {
+        const client = new FakeClient();
+        const output = new FakeOutput();
+        const ok = await new Cli(client, { output }).batch('set k1 one\n\nnope k1\nset k2 two\n', 'fixtures.txt');
+        assert.strictEqual(ok, false);
+        assert.deepStrictEqual(client.calls, [['set', 'k1', 'one']]);
+        assert.deepStrictEqual(output.lines, ['OK', '(error) fixtures.txt:3: unknown command \'nope\', try help']);
+    });
+
+    await t.test('reports server errors with their code', async () => {
+        const client = new FakeClient();
+        const output = new FakeOutput();
+        const ok = await new Cli(client, { output, json: true }).batch('set locked:1 x\nget k1\n', 'stdin');
+        assert.strictEqual(ok, false);
+        assert.deepStrictEqual(output.lines, [JSON.stringify({ error: 'stdin:1: 403 forbidden' })]);
+    });
+});
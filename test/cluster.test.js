@@ -0,0 +1,100 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const tinyfly = require('../tinyfly');
+const {startServer} = require('./helpers');
+
+const PORT = 27890;
+const TIMEOUT = 5000;
+const KEYS = Array.from({ length: 40 }, (_, i) => 'key' + i);
+
+// migrations run in the background, so wait until every node is done
+const eventually = async (check) => {
+    const until = Date.now() + TIMEOUT;
+    while (!(await check())) {
+        if (Date.now() > until) {
+            throw new Error('timed out');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+test('cluster', async (t) => {
+    const names = [PORT, PORT + 2, PORT + 4].map(port => '127.0.0.1:' + port);
+    const [a, b, c] = await Promise.all(names.map((self, i) => {
+        return startServer({
+            port: PORT + 2 * i,
+            respPort: PORT + 2 * i + 1,
+            clusterSelf: self,
+            clusterRouting: i === 2 ? 'redirect' : 'proxy'
+        });
+    }));
+    const clients = names.map((_, i) => new tinyfly.Client({ port: PORT + 2 * i }));
+    t.after(async () => {
+        clients.forEach(client => client.close());
+        await Promise.all([a, b, c].map(server => server.stop()));
+    });
+    const settled = (nodes) => {
+        return eventually(async () => {
+            const infos = await Promise.all(clients.map(async client => {
+                return JSON.parse((await client.request('GET', 'admin/cluster')).body);
+            }));
+            // no node moves keys any more and the members agree on who they are
+            return infos.every(info => !info.migrating) &&
+                infos.filter((_, i) => nodes.indexOf(names[i]) !== -1).every(info => info.nodes.join() === nodes.join());
+        });
+    };
+    const holders = (key) => {
+        return [a, b, c].filter(server => server.nosql.get(key) !== undefined);
+    };
+
+    for (const key of KEYS) {
+        await clients[0].set(key, key.toUpperCase());
+    }
+
+    await t.test('a joining node takes over its keys', async () => {
+        const response = await clients[0].request('PUT', 'admin/cluster/' + names[1]);
+        assert.strictEqual(response.code, 200);
+        await settled(names.slice(0, 2));
+        KEYS.forEach(key => assert.strictEqual(holders(key).length, 1));
+        assert(KEYS.some(key => holders(key)[0] === a));
+        assert(KEYS.some(key => holders(key)[0] === b));
+    });
+
+    await t.test('reads are proxied to the owner', async () => {
+        for (const key of KEYS) {
+            assert.deepStrictEqual(await clients[0].get(key), Buffer.from(key.toUpperCase()));
+            assert.deepStrictEqual(await clients[1].get(key), Buffer.from(key.toUpperCase()));
+        }
+    });
+
+    await t.test('reads are redirected to the owner', async () => {
+        await clients[0].request('PUT', 'admin/cluster/' + names[2]);
+        await settled(names);
+        const key = KEYS.find(key => holders(key)[0] !== c);
+        const owner = names[[a, b].indexOf(holders(key)[0])];
+        const response = await clients[2].request('GET', 'nosql/' + key);
+        assert.strictEqual(response.code, 307);
+        assert.strictEqual(response.headers.location, `http://${owner}/nosql/${key}`);
+    });
+
+    await t.test('batches are split over the nodes', async () => {
+        const response = await clients[0].request('POST', 'nosql/_mget', Buffer.from(JSON.stringify(KEYS)));
+        assert.strictEqual(response.code, 200);
+        assert.deepStrictEqual(JSON.parse(response.body), KEYS.map(key => ({ key, value: key.toUpperCase() })));
+    });
+
+    await t.test('leaving nodes hand their keys back', async () => {
+        await clients[0].request('DELETE', 'admin/cluster/' + names[2]);
+        await clients[0].request('DELETE', 'admin/cluster/' + names[1]);
+        await settled(names.slice(0, 1));
+        KEYS.forEach(key => assert.deepStrictEqual(holders(key), [a]));
+        assert.deepStrictEqual(JSON.parse((await clients[0].request('GET', 'admin/cluster')).body).nodes, names.slice(0, 1));
+    });
+});
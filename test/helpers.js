@@ -0,0 +1,30 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const tinyfly = require('../tinyfly');
+
+// a NoSql of its own, without any server around it
+const createNoSql = (getHashFunc, options = {}) => {
+    return new tinyfly.NoSql(
+        new tinyfly.Index(options.indexSize || 0x10000, getHashFunc).clear(),
+        new tinyfly.Storage(Buffer.alloc(options.memory || 0x100000)).clear(),
+        new tinyfly.Cache(options.cacheSize || 64, getHashFunc).clear()
+    );
+};
+
+const openNoSql = (options = {}) => {
+    return tinyfly.loadHash()
+        .then(getHashFunc => createNoSql(getHashFunc, options));
+};
+
+// every test file takes its own ports, node --test runs the files side by side
+const startServer = (options = {}) => {
+    const server = tinyfly.createServer(Object.assign({ host: '127.0.0.1', memory: '4mb', indexSize: '256kb' }, options));
+    return server.start();
+};
+
+module.exports = { createNoSql, openNoSql, startServer };
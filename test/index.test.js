@@ -0,0 +1,99 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const tinyfly = require('../tinyfly');
+const {Random} = require('./property');
+
+const SEED = process.env.PROPERTY_SEED === undefined ? Math.floor(Math.random() * 0x100000000) : Number(process.env.PROPERTY_SEED);
+const NAMES = 5000;
+const OPERATIONS = 40000;
+
+// inserts and deletes at random, the index stands for the storage by the ids it was given
+const churn = (index, random) => {
+    const live = new Map(); // name -> id
+    const names = new Map(); // id -> name
+    const check = (name) => (id) => names.get(id) === name;
+    let id = 0;
+    for (let i = 0; i < OPERATIONS; i++) {
+        const name = 'key:' + random.int(NAMES);
+        if (live.has(name) && random.int(2) === 0) {
+            assert.strictEqual(index.delete(name, check(name)), live.get(name), `seed ${SEED}: delete ${name}`);
+            names.delete(live.get(name));
+            live.delete(name);
+        } else if (!live.has(name)) {
+            names.set(++id, name);
+            assert.strictEqual(index.set(id, name, check(name)), true, `seed ${SEED}: set ${name}`);
+            live.set(name, id);
+        }
+    }
+    return { live, check };
+};
+
+// no key is ever lost and the deleted ones are gone
+const verify = (index, live, check) => {
+    for (let i = 0; i < NAMES; i++) {
+        const name = 'key:' + i;
+        assert.strictEqual(index.get(name, check(name)), live.has(name) ? live.get(name) : -1, `seed ${SEED}: get ${name}`);
+    }
+    assert.strictEqual(index.stats().keys, live.size);
+};
+
+test('BloomFilter counts instead of clearing bits', () => {
+    const random = new Random(SEED);
+    const filter = new tinyfly.BloomFilter(10000);
+    const hashes = Array.from({ length: 10000 }, () => random.int(0x100000000));
+    hashes.forEach(hash => filter.add(hash));
+    const kept = hashes.filter((hash, i) => {
+        if (i % 2 === 0) {
+            filter.remove(hash);
+            return false;
+        }
+        return true;
+    });
+    kept.forEach(hash => {
+        assert(filter.has(hash), `seed ${SEED}: lost ${hash}`);
+    });
+    kept.forEach(hash => filter.remove(hash));
+    // only counters that saturated stay behind once every hash is removed
+    const stats = filter.stats();
+    assert.strictEqual(stats.set, stats.saturated);
+});
+
+test('Index keeps every key through inserts and deletes', async (t) => {
+    const getHashFunc = await tinyfly.loadHash();
+    // multiples of the table size put every key on one chain of equal and unequal hashes
+    const colliding = (seed) => {
+        const hash = getHashFunc(seed);
+        return (name) => ((hash(name) & 7) << 28) >>> 0;
+    };
+
+    await t.test('while the table grows from its smallest size', () => {
+        const index = new tinyfly.Index(1024, getHashFunc).clear();
+        const {live, check} = churn(index, new Random(SEED));
+        verify(index, live, check);
+        assert(index.stats().buckets >= live.size);
+    });
+
+    await t.test('after a rebuild the filter is the same', () => {
+        const index = new tinyfly.Index(0x40000, getHashFunc).clear();
+        const {live, check} = churn(index, new Random(SEED + 1));
+        const before = index.stats().bloom;
+        index.rebuild();
+        verify(index, live, check);
+        const after = index.stats().bloom;
+        assert.strictEqual(after.set, before.set);
+        assert.strictEqual(after.saturated, before.saturated);
+    });
+
+    await t.test('with colliding hashes', () => {
+        const index = new tinyfly.Index(0x10000, colliding).clear();
+        const {live, check} = churn(index, new Random(SEED + 2));
+        verify(index, live, check);
+    });
+});
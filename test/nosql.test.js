@@ -0,0 +1,96 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const {Snapshot} = require('../tinyfly');
+const {openNoSql} = require('./helpers');
+
+test('NoSql', async (t) => {
+    const nosql = await openNoSql();
+
+    await t.test('set, get and delete', () => {
+        assert.strictEqual(nosql.set('key1', 'hello1'), true);
+        assert.deepStrictEqual(nosql.get('key1'), Buffer.from('hello1'));
+        assert.strictEqual(nosql.has('key1'), true);
+        assert.strictEqual(nosql.delete('key1'), true);
+        assert.strictEqual(nosql.get('key1'), undefined);
+        assert.strictEqual(nosql.delete('key1'), false);
+    });
+
+    await t.test('keys and values are binary', () => {
+        const key = Buffer.from([0x61, 0x00, 0xff]);
+        const value = Buffer.from([0x00, 0x01, 0x02, 0xfe]);
+        nosql.set(key, value);
+        assert.deepStrictEqual(nosql.get(key), value);
+        assert.strictEqual(nosql.get(Buffer.from([0x61, 0x00])), undefined);
+    });
+
+    await t.test('expires and ttl', () => {
+        nosql.set('gone', 'x', Date.now() - 1);
+        assert.strictEqual(nosql.get('gone'), undefined);
+        assert.strictEqual(nosql.ttl('gone'), -2);
+        nosql.set('later', 'x', Date.now() + 10000);
+        assert.strictEqual(nosql.ttl('later'), 10);
+        nosql.set('never', 'x');
+        assert.strictEqual(nosql.ttl('never'), -1);
+    });
+
+    await t.test('atomic operations', () => {
+        assert.strictEqual(nosql.incr('counter'), 1);
+        assert.strictEqual(nosql.incr('counter', 41), 42);
+        assert.strictEqual(nosql.setnx('counter', '0'), false);
+        assert.deepStrictEqual(nosql.getset('counter', '7'), Buffer.from('42'));
+        assert.strictEqual(nosql.append('counter', '7'), 2);
+        assert.deepStrictEqual(nosql.get('counter'), Buffer.from('77'));
+    });
+
+    await t.test('collections and types', () => {
+        nosql.hset('hash', 'field', 'value');
+        assert.deepStrictEqual(nosql.hget('hash', 'field'), Buffer.from('value'));
+        nosql.rpush('list', 'a', 'b');
+        nosql.lpush('list', 'z');
+        assert.deepStrictEqual(nosql.lrange('list', 0, -1).map(String), ['z', 'a', 'b']);
+        nosql.sadd('set', 'm1', 'm2', 'm1');
+        assert.deepStrictEqual(nosql.smembers('set').map(String).sort(), ['m1', 'm2']);
+        assert.strictEqual(nosql.type('hash'), 'hash');
+        assert.throws(() => nosql.get('hash'), /WRONGTYPE/);
+    });
+
+    await t.test('versions change on every write', () => {
+        nosql.set('versioned', '1');
+        const version = nosql.version('versioned');
+        assert.strictEqual(nosql.cas('versioned', '2', version), true);
+        assert.strictEqual(nosql.cas('versioned', '3', version), false);
+        assert.deepStrictEqual(nosql.get('versioned'), Buffer.from('2'));
+    });
+
+    await t.test('scan visits every key once', () => {
+        const seen = new Set();
+        let cursor = 0;
+        do {
+            const page = nosql.scan(cursor, 3);
+            page.keys.forEach(key => {
+                assert(!seen.has(key.toString('latin1')));
+                seen.add(key.toString('latin1'));
+            });
+            cursor = page.cursor;
+        } while (cursor !== 0);
+        assert(seen.has('list') && seen.has('hash') && seen.has('never'));
+        assert(!seen.has('gone'));
+    });
+
+    await t.test('JSON lines keep hash fields named like object properties', () => {
+        nosql.hset('fields', '__proto__', 'p');
+        nosql.hset('fields', 'toString', 't');
+        const line = Snapshot.toJson(Object.assign({ key: Buffer.from('fields') }, nosql.entry('fields')));
+        assert.deepStrictEqual(JSON.parse(line).value, JSON.parse('{"__proto__":"p","toString":"t"}'));
+        const record = Snapshot.fromJson(line);
+        nosql.put('copy', record.value, record.expires, record.type);
+        assert.deepStrictEqual(nosql.hgetall('copy'), nosql.hgetall('fields'));
+    });
+});
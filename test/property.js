@@ -0,0 +1,83 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+
+const SHRINK_ATTEMPTS = 2000;
+
+// mulberry32, small and good enough to make a run repeatable from its seed
+class Random {
+    constructor(seed) {
+        this._state = seed >>> 0;
+    }
+    next() {
+        let t = this._state = (this._state + 0x6d2b79f5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+    bytes(length) {
+        const buffer = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            buffer[i] = this.int(256);
+        }
+        return buffer;
+    }
+}
+
+const failure = (property, ops) => {
+    try {
+        property(ops);
+        return null;
+    } catch (ex) {
+        return ex;
+    }
+};
+
+// drops ever smaller slices of the operations for as long as the property still fails
+const shrink = (property, ops) => {
+    let attempts = SHRINK_ATTEMPTS;
+    for (let size = ops.length >> 1; size > 0 && attempts > 0; size >>= 1) {
+        for (let start = 0; start + size <= ops.length && attempts > 0; attempts--) {
+            const smaller = ops.slice(0, start).concat(ops.slice(start + size));
+            if (failure(property, smaller)) {
+                ops = smaller;
+            } else {
+                start += size;
+            }
+        }
+    }
+    return ops;
+};
+
+// runs property on `runs` random sequences of `length` operations made by generate(random),
+// a failing sequence is shrunk and reported with the seed that replays it
+const forAll = (options, generate, property) => {
+    const seed = options.seed === undefined ? Math.floor(Math.random() * 0x100000000) : options.seed;
+    for (let run = 0; run < options.runs; run++) {
+        const random = new Random(seed + run);
+        const ops = Array.from({ length: options.length }, () => generate(random));
+        const error = failure(property, ops);
+        if (error) {
+            const smallest = shrink(property, ops);
+            const last = failure(property, smallest) || error;
+            throw new assert.AssertionError({
+                message: `property failed with seed ${seed + run}, ${smallest.length} of ${ops.length} operations:\n` +
+                    smallest.map(op => '  ' + JSON.stringify(op)).join('\n') + '\n' + last.message
+            });
+        }
+    }
+    return seed;
+};
+
+module.exports = { Random, forAll };
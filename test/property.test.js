@@ -0,0 +1,127 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const tinyfly = require('../tinyfly');
+const {createNoSql} = require('./helpers');
+const {forAll} = require('./property');
+
+// PROPERTY_SEED replays a reported failure, PROPERTY_RUNS and PROPERTY_LENGTH make the search longer
+const OPTIONS = {
+    seed: process.env.PROPERTY_SEED === undefined ? undefined : Number(process.env.PROPERTY_SEED),
+    runs: Number(process.env.PROPERTY_RUNS || (process.env.PROPERTY_SEED === undefined ? 50 : 1)),
+    length: Number(process.env.PROPERTY_LENGTH || 200)
+};
+
+const KEYS = Array.from({ length: 24 }, (_, i) => 'k' + i);
+
+const generate = (random) => {
+    const op = random.pick(['set', 'set', 'get', 'has', 'delete', 'setnx', 'getset', 'append']);
+    const key = random.pick(KEYS);
+    // values up to a few kilobytes, so a small storage fills up now and then
+    const value = random.bytes(random.int(8) === 0 ? random.int(4096) : random.int(32)).toString('hex');
+    return op === 'get' || op === 'has' || op === 'delete' ? { op, key } : { op, key, value };
+};
+
+// the writes that read first throw a RangeError when the storage is full, the key then keeps its value
+const refused = (write) => {
+    try {
+        write();
+    } catch (ex) {
+        if (!(ex instanceof RangeError)) {
+            throw ex;
+        }
+    }
+};
+
+// every operation on a fresh NoSql gives what a Map gives, and nothing is left behind in the index or storage
+const property = (getHashFunc, options) => (ops) => {
+    const nosql = createNoSql(getHashFunc, options);
+    const model = new Map();
+    ops.forEach(({op, key, value}, i) => {
+        const buffer = value === undefined ? undefined : Buffer.from(value, 'hex');
+        const expected = model.get(key);
+        const where = `operation ${i} ${op} ${key}`;
+        switch (op) {
+        case 'set': {
+            // a full storage refuses the write and keeps the previous value
+            if (nosql.set(key, buffer)) {
+                model.set(key, buffer);
+            }
+            break;
+        }
+        case 'get': {
+            assert.deepStrictEqual(nosql.get(key), expected, where);
+            break;
+        }
+        case 'has': {
+            assert.strictEqual(nosql.has(key), model.has(key), where);
+            break;
+        }
+        case 'delete': {
+            assert.strictEqual(nosql.delete(key), model.delete(key), where);
+            break;
+        }
+        case 'setnx': {
+            refused(() => {
+                assert.strictEqual(nosql.setnx(key, buffer), !model.has(key), where);
+                model.set(key, expected || buffer);
+            });
+            break;
+        }
+        case 'getset': {
+            refused(() => {
+                assert.deepStrictEqual(nosql.getset(key, buffer), expected, where);
+                model.set(key, buffer);
+            });
+            break;
+        }
+        case 'append': {
+            const joined = Buffer.concat([expected || Buffer.alloc(0), buffer]);
+            refused(() => {
+                assert.strictEqual(nosql.append(key, buffer), joined.length, where);
+                model.set(key, joined);
+            });
+            break;
+        }
+        }
+    });
+
+    KEYS.forEach(key => {
+        assert.deepStrictEqual(nosql.get(key), model.get(key), `final ${key}`);
+    });
+    const scanned = [];
+    let cursor = 0;
+    do {
+        const page = nosql.scan(cursor, 7);
+        scanned.push(...page.keys.map(String));
+        cursor = page.cursor;
+    } while (cursor !== 0);
+    assert.deepStrictEqual(scanned.sort(), Array.from(model.keys()).sort(), 'scan');
+    const info = nosql.info();
+    assert.strictEqual(info.index.keys, model.size, 'index keys');
+    assert.strictEqual(info.records, model.size, 'storage records');
+};
+
+test('NoSql behaves like a Map', async (t) => {
+    const getHashFunc = await tinyfly.loadHash();
+    // 8 hashes that are all multiples of the table size put every key on one chain with equal hashes on it
+    const colliding = (seed) => {
+        const hash = getHashFunc(seed);
+        return (name) => ((hash(name) & 7) << 28) >>> 0;
+    };
+    // a cache smaller than the key set, so lookups go to the index
+    const options = { memory: 0x10000, cacheSize: 4 };
+
+    await t.test('with the real hash', () => {
+        forAll(OPTIONS, generate, property(getHashFunc, options));
+    });
+    await t.test('with colliding hashes', () => {
+        forAll(OPTIONS, generate, property(colliding, options));
+    });
+});
@@ -0,0 +1,110 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const test = require('node:test');
+const tinyfly = require('../tinyfly');
+const {startServer} = require('./helpers');
+
+const PORT = 27884;
+const REPL_PORT = PORT + 2;
+const REPLICA_PORT = PORT + 3;
+const PROXY_PORT = PORT + 5;
+const TIMEOUT = 5000;
+
+// replication is asynchronous, so wait for what the replica should see
+const eventually = async (check) => {
+    const until = Date.now() + TIMEOUT;
+    while (!(await check())) {
+        if (Date.now() > until) {
+            throw new Error('timed out');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+// the replica talks to the primary through this proxy, so the link can be cut
+const startProxy = (port, target) => {
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        const upstream = net.connect(target, '127.0.0.1');
+        socket.pipe(upstream);
+        upstream.pipe(socket);
+        [socket, upstream].forEach(side => {
+            sockets.add(side);
+            side.on('error', () => {});
+            side.on('close', () => {
+                sockets.delete(side);
+                socket.destroy();
+                upstream.destroy();
+            });
+        });
+    });
+    const cut = () => {
+        sockets.forEach(socket => socket.destroy());
+    };
+    return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => resolve({
+            cut,
+            close: () => {
+                cut();
+                return new Promise(done => server.close(done));
+            }
+        }));
+    });
+};
+
+test('replication', async (t) => {
+    const primary = await startServer({ port: PORT, respPort: PORT + 1, replication: 'on', replPort: REPL_PORT });
+    const proxy = await startProxy(PROXY_PORT, REPL_PORT);
+    const writer = new tinyfly.Client({ port: PORT });
+    await writer.set('before', 'copied');
+    const replica = await startServer({ port: REPLICA_PORT, respPort: REPLICA_PORT + 1, replicaOf: `127.0.0.1:${PROXY_PORT}` });
+    const reader = new tinyfly.Client({ port: REPLICA_PORT });
+    t.after(async () => {
+        writer.close();
+        reader.close();
+        await replica.stop();
+        await proxy.close();
+        await primary.stop();
+    });
+    const link = async () => {
+        const response = await reader.request('GET', 'admin/replication');
+        return JSON.parse(response.body).upstream.link;
+    };
+
+    await t.test('full sync', async () => {
+        await eventually(async () => await link() === 'up');
+        assert.deepStrictEqual(await reader.get('before'), Buffer.from('copied'));
+    });
+
+    await t.test('changes are streamed', async () => {
+        await writer.set('live', '1');
+        await writer.delete('before');
+        // changes arrive in order, so once the delete is there the set is too
+        await eventually(async () => await reader.get('before') === null);
+        assert.deepStrictEqual(await reader.get('live'), Buffer.from('1'));
+    });
+
+    await t.test('partial resync from the backlog after a reconnect', async () => {
+        // a full sync would load the primary's copy over this key
+        replica.nosql.set('replica only', 'kept');
+        proxy.cut();
+        await eventually(async () => await link() === 'down');
+        await writer.set('missed', '2');
+        await eventually(async () => await link() === 'up');
+        await eventually(async () => await reader.get('missed') !== null);
+        assert.deepStrictEqual(replica.nosql.get('replica only'), Buffer.from('kept'));
+    });
+
+    await t.test('writes to the replica are refused', async () => {
+        const response = await reader.request('PUT', 'nosql/live', Buffer.from('2'));
+        assert.strictEqual(response.code, 403);
+        assert.deepStrictEqual(await reader.get('live'), Buffer.from('1'));
+    });
+});
@@ -0,0 +1,143 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const test = require('node:test');
+const {startServer} = require('./helpers');
+
+const PORT = 27880;
+const RESP_PORT = PORT + 1;
+const TIMEOUT = 2000;
+
+const command = (...args) => {
+    return `*${args.length}\r\n` + args.map(arg => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join('');
+};
+
+// writes the chunks one by one, each in a tick of its own, and resolves with what came back
+// once it is as long as expected, or when the server closes the connection
+const talk = (chunks, expected) => {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(RESP_PORT, '127.0.0.1');
+        const replies = [];
+        let length = 0;
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error(`no full reply, got ${JSON.stringify(Buffer.concat(replies).toString())}`));
+        }, TIMEOUT);
+        let finished = false;
+        const done = (closed) => {
+            if (!finished) {
+                finished = true;
+                clearTimeout(timer);
+                socket.destroy();
+                resolve({ reply: Buffer.concat(replies).toString('latin1'), closed });
+            }
+        };
+        socket.on('data', chunk => {
+            replies.push(chunk);
+            length += chunk.length;
+            if (length >= Buffer.byteLength(expected, 'latin1')) {
+                done(false);
+            }
+        });
+        socket.on('end', () => done(true));
+        socket.on('error', ex => {
+            if (!finished) {
+                reject(ex);
+            }
+        });
+        socket.on('connect', () => {
+            const next = (i) => {
+                if (i < chunks.length) {
+                    socket.write(chunks[i], 'latin1', () => setTimeout(() => next(i + 1), 1));
+                }
+            };
+            next(0);
+        });
+    });
+};
+
+const exchange = async (chunks, expected) => {
+    const {reply} = await talk([].concat(chunks), expected);
+    assert.strictEqual(reply, expected);
+};
+
+test('RESP over raw sockets', async (t) => {
+    const server = await startServer({ port: PORT, respPort: RESP_PORT, maxMemory: '4mb' });
+    t.after(() => server.stop());
+
+    await t.test('commands and their replies', async () => {
+        await exchange(command('PING'), '+PONG\r\n');
+        await exchange(command('SET', 'key1', 'hello1'), '+OK\r\n');
+        await exchange(command('GET', 'key1'), '$6\r\nhello1\r\n');
+        await exchange(command('GET', 'nokey'), '$-1\r\n');
+        await exchange(command('EXISTS', 'key1', 'nokey', 'key1'), ':2\r\n');
+        await exchange(command('MSET', 'a', '1', 'b', '2'), '+OK\r\n');
+        await exchange(command('MGET', 'a', 'nokey', 'b'), '*3\r\n$1\r\n1\r\n$-1\r\n$1\r\n2\r\n');
+        await exchange(command('DEL', 'a', 'b', 'nokey'), ':2\r\n');
+        await exchange(command('FLUSHALL'), '+OK\r\n');
+        await exchange(command('GET', 'key1'), '$-1\r\n');
+    });
+
+    await t.test('MSET that runs out of memory sets nothing', async () => {
+        const value = 'x'.repeat(0x180000);
+        await exchange(command('SET', 'kept', 'old'), '+OK\r\n');
+        await exchange(command('MSET', 'kept', 'new', 'big1', value, 'big2', value, 'big3', value), '-ERR out of memory\r\n');
+        await exchange(command('MGET', 'kept', 'big1', 'big2'), '*3\r\n$3\r\nold\r\n$-1\r\n$-1\r\n');
+        await exchange(command('DEL', 'kept'), ':1\r\n');
+    });
+
+    await t.test('inline commands', async () => {
+        await exchange('PING\r\n', '+PONG\r\n');
+        await exchange('SET  inline   value\r\nGET inline\n', '+OK\r\n$5\r\nvalue\r\n');
+    });
+
+    await t.test('pipelined commands are answered in order', async () => {
+        const count = 200;
+        const commands = [];
+        const replies = [];
+        for (let i = 0; i < count; i++) {
+            commands.push(command('SET', 'p' + i, String(i)), command('GET', 'p' + i));
+            replies.push('+OK\r\n', `$${String(i).length}\r\n${i}\r\n`);
+        }
+        await exchange(commands.join(''), replies.join(''));
+    });
+
+    await t.test('frames split anywhere', async () => {
+        // a binary value with CRLF inside, written one byte at a time
+        const value = 'a\r\nb\0c';
+        const frame = command('SET', 'split', value) + command('GET', 'split');
+        await exchange(frame.split(''), `+OK\r\n$${value.length}\r\n${value}\r\n`);
+        // two commands in three chunks cut through a length and a bulk
+        const both = command('SET', 'cut', 'abcdef') + command('GET', 'cut');
+        await exchange([both.slice(0, 6), both.slice(6, 30), both.slice(30)], '+OK\r\n$6\r\nabcdef\r\n');
+    });
+
+    await t.test('command errors keep the connection', async () => {
+        await exchange(command('NOPE') + command('PING'), '-ERR unknown command \'nope\'\r\n+PONG\r\n');
+        await exchange(command('GET') + command('PING'), '-ERR wrong number of arguments for \'get\' command\r\n+PONG\r\n');
+        await exchange(command('MSET', 'odd') + command('PING'), '-ERR wrong number of arguments for \'mset\' command\r\n+PONG\r\n');
+        await exchange(command('SADD', 'members', 'm1') + command('GET', 'members'),
+            ':1\r\n-WRONGTYPE Operation against a key holding the wrong kind of value\r\n');
+    });
+
+    await t.test('protocol errors close the connection', async () => {
+        const cases = [
+            [command('PING') + '*1\r\n:5\r\n', '+PONG\r\n-ERR Protocol error: expected \'$\', got \':\'\r\n'],
+            ['*-3\r\n', '-ERR Protocol error: invalid multibulk length\r\n'],
+            ['*1\r\n$x\r\nPING\r\n', '-ERR Protocol error: invalid length\r\n'],
+            ['*1\r\n$-1\r\n', '-ERR Protocol error: invalid bulk length\r\n']
+        ];
+        // nothing more than the error may come back, so the reply is only complete once the server hangs up
+        for (const [request, expected] of cases) {
+            const {reply, closed} = await talk([request], expected + '+PONG\r\n');
+            assert.strictEqual(reply, expected);
+            assert.strictEqual(closed, true);
+        }
+    });
+});
@@ -0,0 +1,86 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const net = require('net');
+const test = require('node:test');
+const tinyfly = require('../tinyfly');
+const {startServer} = require('./helpers');
+
+const PORT = 27900;
+const RESP_PORT = PORT + 1;
+
+// sends one RESP command and resolves with the first reply
+const resp = (...args) => {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(RESP_PORT, '127.0.0.1', () => {
+            socket.end(`*${args.length}\r\n` + args.map(arg => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join(''));
+        });
+        const chunks = [];
+        socket.on('data', chunk => chunks.push(chunk));
+        socket.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        socket.on('error', reject);
+    });
+};
+
+test('scripts', async (t) => {
+    const server = await startServer({ port: PORT, respPort: RESP_PORT, scripting: 'on', scriptTimeout: 500, scriptMemory: '16mb' });
+    const client = new tinyfly.Client({ port: PORT });
+    t.after(() => {
+        client.close();
+        return server.stop();
+    });
+    const evaluate = async (source, query = '') => {
+        const response = await client.request('POST', 'eval' + query, Buffer.from(source));
+        return { code: response.code, body: response.body.toString() };
+    };
+
+    await t.test('keys, arguments and the result', async () => {
+        await client.set('count', '41');
+        const result = await evaluate('db.set(KEYS[0], String(Number(db.get(KEYS[0])) + Number(ARGV[0]))); return db.get(KEYS[0]);', '?key=count&arg=1');
+        assert.deepStrictEqual(result, { code: 200, body: '"42"' });
+    });
+
+    await t.test('a script that runs too long is stopped', async () => {
+        const result = await evaluate('for (;;) {}');
+        assert.strictEqual(result.code, 400);
+        assert.match(result.body, /timed out after 500ms/);
+        assert.strictEqual((await evaluate('return 1')).code, 200);
+    });
+
+    await t.test('a script that runs out of memory is stopped', async () => {
+        const result = await evaluate('const chunks = []; for (;;) { chunks.push(new Array(0x100000).fill(chunks.length)); }');
+        assert.strictEqual(result.code, 400);
+        assert.match(result.body, /memory/);
+        assert.strictEqual((await evaluate('return 1')).code, 200);
+    });
+
+    await t.test('changes are undone when a script throws', async () => {
+        await client.set('kept', 'old');
+        const result = await evaluate('db.set(KEYS[0], "new"); db.set(KEYS[1], "new"); db.delete(KEYS[0]); throw new Error("boom");', '?key=kept&key=added');
+        assert.deepStrictEqual(result, { code: 400, body: 'boom' });
+        assert.deepStrictEqual(await client.get('kept'), Buffer.from('old'));
+        assert.strictEqual(await client.get('added'), null);
+    });
+
+    await t.test('nothing of node is in reach', async () => {
+        const result = await evaluate('return [typeof process, typeof require, typeof module, this.constructor.constructor("return typeof process")()];');
+        assert.deepStrictEqual(JSON.parse(result.body), ['undefined', 'undefined', 'undefined', 'undefined']);
+    });
+
+    await t.test('cached scripts run by their sha1', async () => {
+        const source = 'return ARGV[0] + KEYS[0];';
+        const sha = crypto.createHash('sha1').update(source).digest('hex');
+        const loaded = await client.request('POST', 'eval/load', Buffer.from(source));
+        assert.strictEqual(loaded.body.toString(), sha);
+        assert.deepStrictEqual(await evaluate('', `/${sha}?key=b&arg=a`), { code: 200, body: '"ab"' });
+        assert.strictEqual(await resp('EVALSHA', sha, '1', 'd', 'c'), '$2\r\ncd\r\n');
+        assert.strictEqual((await evaluate('', '/' + '0'.repeat(40))).code, 404);
+        assert.match(await resp('EVALSHA', '0'.repeat(40), '0'), /^-NOSCRIPT/);
+    });
+});
@@ -0,0 +1,162 @@
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const tinyfly = require('../tinyfly');
+const {startServer} = require('./helpers');
+
+const PORT = 27878;
+
+test('createServer checks its options', () => {
+    assert.throws(() => tinyfly.createServer({ nope: 1 }), /unknown option 'nope'/);
+    assert.throws(() => tinyfly.createServer({ port: 'http' }), /port number/);
+    assert.throws(() => tinyfly.createServer({ memory: '1gb', maxMemory: '16mb' }));
+});
+
+test('REST api', async (t) => {
+    const server = await startServer({ port: PORT, respPort: PORT + 1, maxMemory: '4mb' });
+    const client = new tinyfly.Client({ port: PORT });
+    t.after(() => {
+        client.close();
+        return server.stop();
+    });
+
+    await t.test('keys', async () => {
+        assert.strictEqual(await client.set('key1', 'hello1'), true);
+        assert.deepStrictEqual(await client.get('key1'), Buffer.from('hello1'));
+        assert.strictEqual(await client.has('key1'), true);
+        assert.strictEqual(await client.delete('key1'), true);
+        assert.strictEqual(await client.get('key1'), null);
+        assert.strictEqual(await client.delete('key1'), false);
+    });
+
+    await t.test('binary keys are percent-encoded', async () => {
+        const key = Buffer.from([0x2f, 0x20, 0x3f, 0xff]);
+        await client.set(key, 'odd');
+        assert.deepStrictEqual(await client.get(key), Buffer.from('odd'));
+    });
+
+    await t.test('ttl and incr', async () => {
+        await client.set('session', 'x', 60);
+        assert.strictEqual(await client.ttl('session'), 60);
+        assert.strictEqual(await client.incr('hits'), 1);
+        assert.strictEqual(await client.incr('hits', 9), 10);
+    });
+
+    await t.test('an expiry in the past is refused', async () => {
+        const put = (headers, query = '') => client.request('PUT', 'nosql/dated' + query, Buffer.from('x'), headers);
+        assert.strictEqual((await put({ expires: new Date(0).toUTCString() })).code, 400);
+        assert.strictEqual((await put({ expires: new Date(Date.now() - 60000).toUTCString() })).code, 400);
+        assert.strictEqual((await put({ expires: 'tomorrow' })).code, 400);
+        assert.strictEqual((await put({}, '?ttl=0')).code, 400);
+        assert.strictEqual(await client.has('dated'), false);
+        assert.strictEqual((await put({ expires: new Date(Date.now() + 60000).toUTCString() })).code, 200);
+        const ttl = await client.ttl('dated');
+        assert(ttl > 0 && ttl <= 60);
+    });
+
+    await t.test('hash fields named like object properties', async () => {
+        await client.request('PUT', 'hash/h1/__proto__', Buffer.from('p'));
+        await client.request('PUT', 'hash/h1/constructor', Buffer.from('c'));
+        const response = await client.request('GET', 'hash/h1');
+        assert.deepStrictEqual(JSON.parse(response.body), JSON.parse('{"__proto__":"p","constructor":"c"}'));
+    });
+
+    await t.test('batches', async () => {
+        const set = await client.request('POST', 'nosql/_mset', Buffer.from(JSON.stringify([{ key: 'b1', value: '1' }, { key: 'b2', value: '2' }])));
+        assert.strictEqual(set.code, 200);
+        const got = await client.request('POST', 'nosql/_mget', Buffer.from(JSON.stringify(['b1', 'b2', 'b3'])));
+        assert.deepStrictEqual(JSON.parse(got.body), [{ key: 'b1', value: '1' }, { key: 'b2', value: '2' }, { key: 'b3', value: null }]);
+    });
+
+    await t.test('an atomic batch that runs out of memory is undone', async () => {
+        await client.set('fill', Buffer.alloc(0x100000));
+        const value = 'x'.repeat(0x140000);
+        const items = [{ key: 'b1', value: 'changed' }, { key: 'full1', value }, { key: 'full2', value }, { key: 'full3', value }];
+        const response = await client.request('POST', 'nosql/_mset?atomic=true', Buffer.from(JSON.stringify(items)));
+        assert.strictEqual(response.code, 507);
+        assert.strictEqual(JSON.parse(response.body).pop().ok, false);
+        assert.deepStrictEqual(await client.get('b1'), Buffer.from('1'));
+        assert.strictEqual(await client.get('full1'), null);
+        await client.delete('fill');
+    });
+
+    await t.test('keys reserved for namespaces are refused', async () => {
+        const response = await client.request('PUT', 'nosql/%00x%00', Buffer.from('{}'));
+        assert.strictEqual(response.code, 403);
+    });
+
+    await t.test('bodies are limited to the memory size', async () => {
+        // the server runs with 4mb, so the headers alone are refused
+        const status = await new Promise((resolve, reject) => {
+            const socket = net.connect(PORT, '127.0.0.1', () => {
+                socket.write(`PUT /nosql/big HTTP/1.1\r\nContent-Length: ${4 * 0x100000 + 1}\r\n\r\n`);
+            });
+            socket.once('data', chunk => {
+                socket.destroy();
+                resolve(chunk.toString().split('\r\n')[0]);
+            });
+            socket.on('error', reject);
+        });
+        assert.strictEqual(status, 'HTTP/1.1 413 Payload Too Large');
+        const response = await client.request('PUT', 'nosql/big', Buffer.alloc(0x100000, 'x'));
+        assert.strictEqual(response.code, 200);
+    });
+
+    await t.test('chunked requests split anywhere and pipelined', async () => {
+        const request = 'PUT /nosql/chunked HTTP/1.1\r\nTransfer-Encoding: chunked\r\n\r\n5;x=y\r\nhello\r\n6\r\n world\r\n0\r\nX-Trailer: 1\r\n\r\n' +
+            'GET /nosql/chunked HTTP/1.1\r\nConnection: close\r\n\r\n';
+        const response = await new Promise((resolve, reject) => {
+            const chunks = [];
+            const socket = net.connect(PORT, '127.0.0.1', async () => {
+                for (let i = 0; i < request.length; i += 3) {
+                    socket.write(request.slice(i, i + 3));
+                    await new Promise(setImmediate);
+                }
+            });
+            socket.on('data', chunk => chunks.push(chunk));
+            socket.on('end', () => resolve(Buffer.concat(chunks).toString()));
+            socket.on('error', reject);
+        });
+        assert.match(response, /^HTTP\/1\.1 200 OK\r\n/);
+        assert.match(response, /\r\n\r\nhello world$/);
+    });
+
+    await t.test('unknown routes', async () => {
+        assert.strictEqual((await client.request('GET', 'nothing')).code, 404);
+        assert.strictEqual((await client.request('PATCH', 'nosql/key1')).code, 501);
+    });
+});
+
+test('batches of a user limited to a prefix', async (t) => {
+    const aclFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tinyfly-')), 'acl.json');
+    fs.writeFileSync(aclFile, JSON.stringify([{ name: 'app', token: 'app-token', prefixes: ['app:'] }]));
+    const server = await startServer({ port: PORT + 4, respPort: PORT + 5, aclFile });
+    const client = new tinyfly.Client({ port: PORT + 4, token: 'app-token' });
+    t.after(() => {
+        client.close();
+        fs.rmSync(path.dirname(aclFile), { recursive: true });
+        return server.stop();
+    });
+    const mset = (query, items) => client.request('POST', 'nosql/_mset' + query, Buffer.from(JSON.stringify(items)));
+
+    await client.set('app:a', 'old');
+    const atomic = await mset('?atomic=true', [{ key: 'app:a', value: 'new' }, { key: 'app:b', value: '1' }, { key: 'other', value: '2' }]);
+    assert.strictEqual(atomic.code, 403);
+    assert.deepStrictEqual(await client.get('app:a'), Buffer.from('old'));
+    assert.strictEqual(await client.get('app:b'), null);
+
+    const each = await mset('', [{ key: 'app:a', value: 'new' }, { key: 'other', value: '2' }, { key: 'app:b', value: '1' }]);
+    assert.strictEqual(each.code, 200);
+    assert.deepStrictEqual(JSON.parse(each.body), [{ key: 'app:a', ok: true }, { key: 'other', ok: false }, { key: 'app:b', ok: true }]);
+    assert.deepStrictEqual(await client.get('app:b'), Buffer.from('1'));
+});
@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/*
+ tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
+ Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
+*/
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const Client = require('./client');
+
+const HISTORY_FILE = path.join(os.homedir(), '.tinyfly_history');
+const HISTORY_SIZE = 1000;
+
+class CliError extends Error {
+}
+
+// words are split on blanks, "..." and '...' keep blanks, \ escapes the next character inside "..."
+const tokenize = (line) => {
+    const words = [];
+    let word = null;
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quote !== null) {
+            if (c === quote) {
+                quote = null;
+            } else if (c === '\\' && quote === '"' && i + 1 < line.length) {
+                const next = line[++i];
+                word += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+            } else {
+                word += c;
+            }
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+            word = word === null ? '' : word;
+        } else if (/\s/.test(c)) {
+            if (word !== null) {
+                words.push(word);
+                word = null;
+            }
+        } else {
+            word = (word === null ? '' : word) + c;
+        }
+    }
+    if (quote !== null) {
+        throw new CliError(`unbalanced ${quote}`);
+    }
+    if (word !== null) {
+        words.push(word);
+    }
+    return words;
+};
+
+const ttl = (text) => {
+    const value = Number(text);
+    if (!(value > 0)) {
+        throw new CliError(`ttl must be a positive number of seconds, got '${text}'`);
+    }
+    return value;
+};
+
+const integer = (text) => {
+    const value = Number(text);
+    if (!/^-?\d+$/.test(text) || !Number.isSafeInteger(value)) {
+        throw new CliError(`'${text}' is not an integer`);
+    }
+    return value;
+};
+
+const COMMANDS = Object.freeze({
+    get: {
+        usage: 'get <key>',
+        arity: [1, 1],
+        run: (client, [key]) => client.get(key).then(value => value === null ? null : value.toString())
+    },
+    set: {
+        usage: 'set <key> <value> [ttl]',
+        arity: [2, 3],
+        run: (client, [key, value, seconds]) => client.set(key, value, seconds === undefined ? 0 : ttl(seconds))
+    },
+    del: {
+        usage: 'del <key> [key ...]',
+        arity: [1, Infinity],
+        run: (client, keys) => Promise.all(keys.map(key => client.delete(key))).then(deleted => deleted.filter(Boolean).length)
+    },
+    exists: {
+        usage: 'exists <key> [key ...]',
+        arity: [1, Infinity],
+        run: (client, keys) => Promise.all(keys.map(key => client.has(key))).then(found => found.filter(Boolean).length)
+    },
+    ttl: {
+        usage: 'ttl <key>',
+        arity: [1, 1],
+        run: (client, [key]) => client.ttl(key)
+    },
+    incr: {
+        usage: 'incr <key> [by]',
+        arity: [1, 2],
+        run: (client, [key, by]) => client.incr(key, by === undefined ? 1 : integer(by))
+    },
+    scan: {
+        usage: 'scan [cursor] [match] [count]',
+        arity: [0, 3],
+        run: (client, [cursor = '0', match = null, count = '10']) => client.scan(integer(cursor), integer(count), match),
+        format: (page) => {
+            return [`cursor: ${page.cursor}`].concat(page.keys.map((key, i) => `${i + 1}) ${key}`)).join('\n');
+        }
+    },
+    backup: {
+        usage: 'backup <file>',
+        arity: [1, 1],
+        run: (client, [file]) => client.backup(file)
+    },
+    restore: {
+        usage: 'restore <file>',
+        arity: [1, 1],
+        run: (client, [file]) => client.restore(file)
+    },
+    stats: {
+        usage: 'stats',
+        arity: [0, 0],
+        run: (client) => client.stats()
+    },
+    info: {
+        usage: 'info',
+        arity: [0, 0],
+        run: (client) => client.info()
+    },
+    help: {
+        usage: 'help',
+        arity: [0, 0],
+        run: () => Promise.resolve(Object.keys(COMMANDS).map(name => COMMANDS[name].usage)),
+        format: (lines) => lines.join('\n')
+    }
+});
+
+// output as redis-cli prints it
+const format = (value) => {
+    if (value === null) {
+        return '(nil)';
+    }
+    if (value === true) {
+        return 'OK';
+    }
+    if (typeof value === 'number') {
+        return `(integer) ${value}`;
+    }
+    if (typeof value === 'object') {
+        return Object.keys(value).map(name => {
+            const item = value[name];
+            return `${name}: ${item !== null && typeof item === 'object' ? JSON.stringify(item) : item}`;
+        }).join('\n');
+    }
+    return String(value);
+};
+
+class Cli {
+    constructor(client, options = {}) {
+        this._client = client;
+        this._json = !!options.json;
+        this._output = options.output || process.stdout;
+    }
+    execute(line) {
+        let words;
+        try {
+            words = tokenize(line);
+        } catch (ex) {
+            return Promise.reject(ex);
+        }
+        if (words.length === 0) {
+            return Promise.resolve(undefined);
+        }
+        const name = words[0].toLowerCase();
+        const args = words.slice(1);
+        if (!COMMANDS.hasOwnProperty(name)) {
+            return Promise.reject(new CliError(`unknown command '${words[0]}', try help`));
+        }
+        const command = COMMANDS[name];
+        if (args.length < command.arity[0] || args.length > command.arity[1]) {
+            return Promise.reject(new CliError(`usage: ${command.usage}`));
+        }
+        return Promise.resolve()
+            .then(() => command.run(this._client, args))
+            .then(result => {
+                this._print(this._json ? JSON.stringify(result) : (command.format || format)(result));
+                return result;
+            });
+    }
+    run(line) {
+        // like execute, but errors are printed and reported as false
+        return this.execute(line)
+            .then(() => true, ex => {
+                this.error(ex);
+                return false;
+            });
+    }
+    error(ex) {
+        const message = ex instanceof Client.ClientError ? `${ex.code} ${ex.message}` : ex.message;
+        if (this._json) {
+            return this._print(JSON.stringify({ error: message }));
+        }
+        return this._print(`(error) ${message}`);
+    }
+    batch(text, source) {
+        // blank lines and lines starting with # are skipped, the first failing command stops the batch
+        const lines = text.split(/\r?\n/);
+        let i = 0;
+        const next = () => {
+            while (i < lines.length && (lines[i].trim() === '' || lines[i].trim()[0] === '#')) {
+                i++;
+            }
+            if (i >= lines.length) {
+                return Promise.resolve(true);
+            }
+            const number = ++i;
+            return this.execute(lines[number - 1])
+                .then(next, ex => {
+                    this.error(new CliError(`${source}:${number}: ${ex instanceof Client.ClientError ? ex.code + ' ' + ex.message : ex.message}`));
+                    return false;
+                });
+        };
+        return next();
+    }
+    repl(prompt) {
+        let history = [];
+        try {
+            history = fs.readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(line => line).reverse().slice(0, HISTORY_SIZE);
+        } catch (ex) {
+            // no history yet
+        }
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            prompt,
+            history,
+            historySize: HISTORY_SIZE,
+            removeHistoryDuplicates: true
+        });
+        return new Promise(resolve => {
+            rl.on('line', line => {
+                const words = line.trim().toLowerCase();
+                if (words === 'quit' || words === 'exit') {
+                    return rl.close();
+                }
+                rl.pause();
+                this.run(line).then(() => {
+                    rl.resume();
+                    rl.prompt();
+                });
+            });
+            rl.on('close', () => {
+                try {
+                    fs.writeFileSync(HISTORY_FILE, rl.history.slice().reverse().join('\n') + '\n');
+                } catch (ex) {
+                    // the history is a convenience, a read-only home must not break the cli
+                }
+                resolve(true);
+            });
+            rl.prompt();
+        });
+    }
+    _print(text) {
+        this._output.write(text + '\n');
+    }
+}
+
+const USAGE = `usage: tinyfly-cli [options] [command [args ...]]
+
+options:
+  -h, --host <host>         server address (127.0.0.1)
+  -p, --port <port>         REST port (17878)
+  -n, --namespace <name>    work inside a namespace
+  --user <name>             user of the ACL file
+  --password <password>     password of --user
+  --token <token>           token of a user of the ACL file
+  --tls                     connect with https
+  --insecure                accept any server certificate with --tls
+  -f, --file <file>         run the commands of a file, - reads them from stdin
+  --json                    print results as JSON
+  --help                    print this help
+
+Without a command and a file it starts an interactive prompt, commands piped into it run as a file.
+Commands: ${Object.keys(COMMANDS).map(name => COMMANDS[name].usage).join(', ')}`;
+
+const OPTIONS = Object.freeze({
+    '-h': 'host',
+    '--host': 'host',
+    '-p': 'port',
+    '--port': 'port',
+    '-n': 'namespace',
+    '--namespace': 'namespace',
+    '--user': 'user',
+    '--password': 'password',
+    '--token': 'token',
+    '-f': 'file',
+    '--file': 'file'
+});
+
+const FLAGS = Object.freeze({
+    '--tls': 'tls',
+    '--insecure': 'insecure',
+    '--json': 'json',
+    '--help': 'help'
+});
+
+const parse = (argv) => {
+    const options = {};
+    let i = 0;
+    for (; i < argv.length && argv[i][0] === '-' && argv[i] !== '-'; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/);
+        if (FLAGS.hasOwnProperty(flag)) {
+            options[FLAGS[flag]] = true;
+            continue;
+        }
+        if (!OPTIONS.hasOwnProperty(flag)) {
+            throw new CliError(`unknown option '${flag}'`);
+        }
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined) {
+            throw new CliError(`option '${flag}' needs a value`);
+        }
+        options[OPTIONS[flag]] = value;
+    }
+    if (options.port !== undefined && !/^\d+$/.test(options.port)) {
+        throw new CliError(`port must be a number, got '${options.port}'`);
+    }
+    // a command is given as separate words, they are quoted again so that tokenize gets them back unchanged
+    options.command = argv.slice(i).map(word => '"' + word.replace(/["\\]/g, '\\$&') + '"').join(' ');
+    return options;
+};
+
+const main = () => {
+    let options;
+    try {
+        options = parse(process.argv.slice(2));
+    } catch (ex) {
+        console.log(`tinyfly-cli: ${ex.message}`);
+        return process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return process.exit(0);
+    }
+    const client = new Client({
+        host: options.host,
+        port: options.port === undefined ? undefined : Number(options.port),
+        namespace: options.namespace,
+        user: options.user,
+        password: options.password,
+        token: options.token,
+        tls: options.tls ? (options.insecure ? { rejectUnauthorized: false } : true) : false
+    });
+    const cli = new Cli(client, { json: options.json });
+
+    let done;
+    if (options.file !== undefined) {
+        const file = options.file === '-' ? 0 : options.file;
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (ex) {
+            console.log(`tinyfly-cli: ${ex.message}`);
+            return process.exit(2);
+        }
+        done = cli.batch(text, options.file === '-' ? 'stdin' : options.file);
+    } else if (options.command) {
+        done = cli.run(options.command);
+    } else if (!process.stdin.isTTY) {
+        done = cli.batch(fs.readFileSync(0, 'utf8'), 'stdin');
+    } else {
+        done = cli.repl(`${options.host || '127.0.0.1'}:${options.port || 17878}> `);
+    }
+    done.then(ok => {
+        client.close();
+        process.exitCode = ok ? 0 : 1;
+    });
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { Cli, tokenize, parse };
@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /*
  tinyfly is an open-source in-memory database project implementing a networked, in-memory key-value store
  Copyright (c) 2017 Yaroslav Gaponov <yaroslav.gaponov@gmail.com>
@@ -8,10 +9,38 @@
 const assert = require('assert');
 const net = require('net');
 const fs = require('fs');
+const EventEmitter = require('events');
+const querystring = require('querystring');
+const crypto = require('crypto');
+const path = require('path');
+const tls = require('tls');
+const http = require('http');
+const vm = require('vm');
+const {Worker} = require('worker_threads');
 
 const TOTAL_MEMORY_SIZE = 0xffffff;
 const INDEX_SIZE = 0xffff;
 const CACHE_SIZE = 500;
+const SWEEP_INTERVAL = 100;
+const SWEEP_LIMIT = 10000;
+const COMPACT_INTERVAL = 10000;
+const COMPACT_FRAGMENTATION = 0.5;
+const EVICTION_SAMPLES = 5;
+const EVICTION_TRIES = 64;
+const SCAN_COUNT = 10;
+const LOG_REWRITE_SIZE = 0x4000000;
+const REPL_BACKLOG_SIZE = 0x100000;
+const REPL_RETRY_INTERVAL = 1000;
+const PUBSUB_BUFFER_SIZE = 0x100000;
+const CLUSTER_VNODES = 64;
+const CLUSTER_TIMEOUT = 5000;
+const CLUSTER_RETRY_INTERVAL = 1000;
+const SCRIPT_TIMEOUT = 100;
+const SCRIPT_MEMORY_SIZE = 0x4000000;
+const SCRIPT_CACHE_SIZE = 1000;
+
+const NEVER = 0;
+const NAMESPACE_MARK = 0;
 
 class BitMap {
     constructor(array) {
@@ -21,23 +50,34 @@ class BitMap {
         assert(array.length > 0);
 
         this._array = array;
+        this._next = 0;
     }
     clear() {
         for (let i = 0; i < this._array.length; i++) {
             this._array[i] = 0;
         }
+        this._next = 0;
     }
     fetch() {
-        for (let base = 0; base < this._array.length; base++) {
+        // every byte before _next is known to be full
+        for (let base = this._next; base < this._array.length; base++) {
+            if (this._array[base] === 0xff) {
+                continue;
+            }
             for (let offset = 0; offset < 8; offset++) {
                 if (((this._array[base] >> offset) & 1) === 0) {
                     this._array[base] |= 1 << offset;
+                    this._next = base;
                     return (base << 3) | offset;
                 }
             }
         }
+        this._next = this._array.length;
         return -1;
     }
+    has(id) {
+        return ((this._array[id >> 3] >> (id & 7)) & 1) === 1;
+    }
     free(id) {
 
         assert(!isNaN(id));
@@ -47,104 +87,182 @@ class BitMap {
         const base = id >> 3;
         const offset = id & 7;
         this._array[base] &= ~(1 << offset);
+        this._next = Math.min(this._next, base);
         
         return true;
     }
+    stats() {
+        let used = 0;
+        for (let i = 0; i < this._array.length; i++) {
+            for (let byte = this._array[i]; byte !== 0; byte &= byte - 1) {
+                used++;
+            }
+        }
+        return { size: this._array.length << 3, used };
+    }
 
 }
 
+const BLOOM_FALSE_POSITIVE_RATE = 0.01;
+const BLOOM_COUNTER_MAX = 15; // 4 bit counters, a saturated counter is never decremented
+
 class BloomFilter {
-    constructor(buffer, hfunc, seeds) {
-        this._buffer = buffer;
-        this._hfuncs = seeds.map(
-            seed => {
-                return hfunc(seed);
-            }
-        );
+    constructor(capacity, falsePositiveRate = BLOOM_FALSE_POSITIVE_RATE) {
+        assert(capacity > 0);
+        assert(falsePositiveRate > 0 && falsePositiveRate < 1);
+
+        // counting filter: a counter per slot instead of a bit, so removing a key
+        // never clears what other keys still need
+        this._size = Math.ceil(-capacity * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2));
+        this._hashes = Math.max(1, Math.round(this._size / capacity * Math.LN2));
+        this._counters = Buffer.alloc((this._size + 1) >> 1);
+    }
+    static _mix(hash) {
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+    _slot(hash, step, i) {
+        // double hashing, the i-th slot is hash + i * step
+        return (hash + i * step) % this._size;
+    }
+    _get(id) {
+        return (this._counters[id >> 1] >> ((id & 1) << 2)) & 0xf;
+    }
+    _put(id, count) {
+        const shift = (id & 1) << 2;
+        this._counters[id >> 1] = (this._counters[id >> 1] & ~(0xf << shift)) | (count << shift);
     }
     clear() {
-        for(let i=0; i<this._buffer.length; i++) {
-            this._buffer[i] = 0;
-        }
+        this._counters.fill(0);
         return this;
     }
-    add(key) {
-        this._hfuncs
-            .map(hfunc => {
-                    return hfunc(key) % this._buffer.length;
-                }
-            )
-            .forEach(id => {
-                    const base = id >> 3;
-                    const offset = id & 7;
-                    this._buffer[base] |= 1 << offset;
-                }
-            )
-        ;
+    add(hash) {
+        hash >>>= 0;
+        const step = (BloomFilter._mix(hash) | 1) >>> 0;
+        for (let i = 0; i < this._hashes; i++) {
+            const id = this._slot(hash, step, i);
+            const count = this._get(id);
+            if (count < BLOOM_COUNTER_MAX) {
+                this._put(id, count + 1);
+            }
+        }
     }
-    remove(key) {
-        this._hfuncs
-            .map(hfunc => {
-                    return hfunc(key) % this._buffer.length;
-                }
-            )
-            .forEach(id => {
-                    const base = id >> 3;
-                    const offset = id & 7;
-                    this._buffer[base] &= ~(1 << offset);
-                }
-            )
-        ;        
+    remove(hash) {
+        hash >>>= 0;
+        const step = (BloomFilter._mix(hash) | 1) >>> 0;
+        for (let i = 0; i < this._hashes; i++) {
+            const id = this._slot(hash, step, i);
+            const count = this._get(id);
+            if (count > 0 && count < BLOOM_COUNTER_MAX) {
+                this._put(id, count - 1);
+            }
+        }
     }
-    has(key) {
-        for(let i=0; i<this._hfuncs.length; i++) {
-            const id = this._hfuncs[i](key) % this._buffer.length;
-            const base = id >> 3;
-            const offset = id & 7;
-            if (!((this._buffer[base] >> offset) & 1)) {
+    has(hash) {
+        hash >>>= 0;
+        const step = (BloomFilter._mix(hash) | 1) >>> 0;
+        for (let i = 0; i < this._hashes; i++) {
+            if (this._get(this._slot(hash, step, i)) === 0) {
                 return false;
             }
         }
         return true;
     }
+    stats() {
+        let set = 0;
+        let saturated = 0;
+        for (let id = 0; id < this._size; id++) {
+            const count = this._get(id);
+            if (count > 0) {
+                set++;
+            }
+            if (count === BLOOM_COUNTER_MAX) {
+                saturated++;
+            }
+        }
+        return {
+            size: this._size,
+            set,
+            saturated,
+            hashes: this._hashes,
+            falsePositiveRate: Math.pow(set / this._size, this._hashes)
+        };
+    }
 }
 
 class Cache {
     constructor(size, getHashFunc) {
         this._keys = new Array(size);
         this._values = new Array(size);
+        this._expires = new Array(size);
+        this._ids = new Array(size);
         this._hash = getHashFunc(731);
+        this._hits = 0;
+        this._misses = 0;
     }
     clear() {
         for(let i=0; i<this._keys.length; i++) {
             this._keys[i] = null;
             this._values[i] = null;
+            this._expires[i] = NEVER;
+            this._ids[i] = -1;
         }
         return this;
     }
      has(key) {
         const index = this._hash(key) % this._keys.length;
-        return this._keys[index] === key;
+        const hit = this._keys[index] === key && !this._isExpired(index);
+        if (hit) {
+            this._hits++;
+        } else {
+            this._misses++;
+        }
+        return hit;
     }
-     set(key, value) {
+     set(key, value, expires = NEVER, id = -1) {
         const index = this._hash(key) % this._keys.length;
         this._keys[index] = key;
         this._values[index] = value;
+        this._expires[index] = expires;
+        this._ids[index] = id;
         return true;
+    }
+     getId(key) {
+        const index = this._hash(key) % this._keys.length;
+        return this._keys[index] === key ? this._ids[index] : -1;
     }
      get(key) {
         const index = this._hash(key) % this._keys.length;
-        return this._keys[index] === key ? this._values[index] : null;
+        return this._keys[index] === key && !this._isExpired(index) ? this._values[index] : null;
     }
      remove(key) {
         const index = this._hash(key) % this._keys.length;
         if (this._keys[index] === key) {
             this._keys[index] = null;
             this._values[index] = null;
+            this._expires[index] = NEVER;
+            this._ids[index] = -1;
             return true;    
         }
         return false;
     }
+    _isExpired(index) {
+        return this._expires[index] !== NEVER && this._expires[index] <= Date.now();
+    }
+    stats() {
+        const lookups = this._hits + this._misses;
+        return {
+            size: this._keys.length,
+            entries: this._keys.filter(key => key !== null).length,
+            hits: this._hits,
+            misses: this._misses,
+            hitRatio: lookups > 0 ? this._hits / lookups : 0
+        };
+    }
 }
 
 const BLOCK =  Object.freeze({
@@ -152,56 +270,253 @@ const BLOCK =  Object.freeze({
     BUSY: 1
 });
 
+const BLOCK_HEADER_SIZE = 35; // flag(1) + size(4) + expires(8) + key size(4) + value size(4) + access(4) + frequency(1) + version(8) + type(1)
+const BLOCK_FOOTER_SIZE = 4; // size(4), lets delete find the previous block
+const BLOCK_OVERHEAD = BLOCK_HEADER_SIZE + BLOCK_FOOTER_SIZE;
+
+const TYPE = Object.freeze({
+    string: 0,
+    hash: 1,
+    list: 2,
+    set: 3
+});
+
+const LFU_INIT = 5;
+const LFU_LOG_FACTOR = 10;
+const LFU_DECAY_TIME = 60;
+
+const clock = () => {
+    return Math.floor(Date.now() / 1000);
+};
+
+const EOC = 0xffffffff;
+
+const toBuffer = (data) => {
+    return Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+};
+
+// hashes, lists and sets are stored as a sequence of size(4) + bytes items
+const packItems = (items) => {
+    const chunks = [];
+    items.forEach(item => {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(item.length, 0);
+        chunks.push(size, item);
+    });
+    return Buffer.concat(chunks);
+};
+
+const unpackItems = (buffer) => {
+    const items = [];
+    for (let offset = 0; offset < buffer.length;) {
+        const size = buffer.readUInt32BE(offset);
+        items.push(buffer.slice(offset + 4, offset + 4 + size));
+        offset += 4 + size;
+    }
+    return items;
+};
+
+// block offsets are index ids, EOC is reserved
+const MAX_STORAGE_SIZE = Math.min(EOC, require('buffer').constants.MAX_LENGTH);
+
 class Storage {
-    constructor(buffer) {
+    constructor(buffer, maxSize = MAX_STORAGE_SIZE) {
 
         assert(buffer);
         assert(buffer instanceof Buffer);
-        assert(buffer.length > 0);
+        assert(buffer.length > BLOCK_OVERHEAD);
+        assert(maxSize >= buffer.length && maxSize <= MAX_STORAGE_SIZE);
 
         this._buffer = buffer;
+        this._maxSize = maxSize;
         this._lastOffset = 0;
+        this._cursors = [];
+        this._used = 0;
     }
     clear() {
-        this._buffer.writeUInt8(BLOCK.FREE, 0);
-        this._buffer.writeInt32BE(this._buffer.length, 1);
+        this._writeFree(0, this._buffer.length - BLOCK_OVERHEAD);
+        this._used = 0;
+        this._lastOffset = 0;
+        this._cursors.forEach(cursor => {
+            cursor.offset = 0;
+        });
+        return this;
+    }
+    grow(length) {
+        const size = Math.min(Math.max(this._buffer.length << 1, this._buffer.length + length + BLOCK_OVERHEAD), this._maxSize);
+        if (size < this._buffer.length + length + BLOCK_OVERHEAD) {
+            return false;
+        }
+        let buffer;
+        try {
+            buffer = Buffer.alloc(size);
+        } catch (ex) {
+            return false;
+        }
+        const end = this._buffer.length;
+        this._buffer.copy(buffer);
+        this._buffer = buffer;
+        this._extend(end);
+        return true;
+    }
+    _extend(end) {
+        // blocks cover [0, end), the rest of the buffer joins the last block
+        const last = this.prev(end);
+        if (!this.isBusy(last)) {
+            this._writeFree(last, this._buffer.length - last - BLOCK_OVERHEAD);
+        } else if (this._buffer.length - end >= BLOCK_OVERHEAD) {
+            this._writeFree(end, this._buffer.length - end - BLOCK_OVERHEAD);
+        } else {
+            const size = this._buffer.length - last - BLOCK_OVERHEAD;
+            this._buffer.writeUInt32BE(size, last + 1);
+            this._buffer.writeUInt32BE(size, last + BLOCK_HEADER_SIZE + size);
+        }
+    }
+    dump() {
+        return Buffer.from(this._buffer);
+    }
+    load(records) {
+        // records are { key, value, expires, version, type }, written one after another into the emptied storage
+        const size = records.reduce((size, record) => size + record.key.length + record.value.length + BLOCK_OVERHEAD, 0);
+        if (size > this._maxSize) {
+            throw new RangeError(`snapshot of ${size} bytes exceeds the storage limit of ${this._maxSize} bytes`);
+        }
+        if (size > this._buffer.length) {
+            this._buffer = Buffer.alloc(size);
+        }
+        this.clear();
+        records.forEach(record => {
+            assert(this.save(record.key, record.value, record.expires, record.version, record.type) !== -1);
+        });
+        this._lastOffset = 0;
         return this;
     }
-    save(key, value) {
-        let offset = this._save(key, value, this._lastOffset);
+    cursor() {
+        // block offsets kept outside of storage, moved when blocks are merged or compacted
+        const cursor = { offset: 0 };
+        this._cursors.push(cursor);
+        return cursor;
+    }
+    save(key, value, expires = NEVER, version = 0, type = TYPE.string) {
+        key = toBuffer(key);
+        value = toBuffer(value);
+        let offset = this._save(key, value, expires, version, type, this._lastOffset);
         if (offset === -1) {
-            offset = this._save(key, value, 0);
+            offset = this._save(key, value, expires, version, type, 0);
         }
         if (offset !== -1) {
             this._lastOffset = offset;
         }
         return offset;
     }
-    _save(key, value, startFromOffset) {
-        const data = Buffer.from(key + '\0' + value);
+    _save(key, value, expires, version, type, startFromOffset) {
+        const length = key.length + value.length;
         let offset =  startFromOffset;
-        for (;;) {
+        while (offset < this._buffer.length) {
             assert(offset >= 0);
-            assert(offset < this._buffer.length);
             const flag = this._buffer.readUInt8(offset);
             assert(flag === BLOCK.FREE || flag === BLOCK.BUSY);
             const size = this._buffer.readUInt32BE(offset + 1);
-            assert(size > 0);
-            if (flag === BLOCK.FREE && (size >= data.length)) {
-                this._buffer.writeUInt8(BLOCK.BUSY, offset);
-                this._buffer.writeInt32BE(data.length, offset + 1);
-                data.copy(this._buffer, offset + 5);
-                const other_size = size - data.length - 5;
+            if (flag === BLOCK.FREE && size >= length) {
+                const other_size = size - length - BLOCK_OVERHEAD;
+                this._writeBusy(offset, other_size > 0 ? length : size, key, value, expires, version, type);
+                this._used += (other_size > 0 ? length : size) + BLOCK_OVERHEAD;
                 if (other_size > 0) {
-                    this._buffer.writeUInt8(BLOCK.FREE, offset + 5 + data.length);
-                    this._buffer.writeInt32BE(other_size, offset + 5 + data.length + 1);
+                    this._writeFree(offset + BLOCK_OVERHEAD + length, other_size);
                 }                
                 return offset;
             }
-            offset += size + 5;
+            offset += size + BLOCK_OVERHEAD;
         }
         return -1;
     }
+    _writeBusy(offset, size, key, value, expires, version, type) {
+        this._buffer.writeUInt8(BLOCK.BUSY, offset);
+        this._buffer.writeUInt32BE(size, offset + 1);
+        this._buffer.writeDoubleBE(expires, offset + 5);
+        this._buffer.writeUInt32BE(key.length, offset + 13);
+        this._buffer.writeUInt32BE(value.length, offset + 17);
+        this._buffer.writeUInt32BE(clock(), offset + 21);
+        this._buffer.writeUInt8(LFU_INIT, offset + 25);
+        this._buffer.writeDoubleBE(version, offset + 26);
+        this._buffer.writeUInt8(type, offset + 34);
+        key.copy(this._buffer, offset + BLOCK_HEADER_SIZE);
+        value.copy(this._buffer, offset + BLOCK_HEADER_SIZE + key.length);
+        this._buffer.writeUInt32BE(size, offset + BLOCK_HEADER_SIZE + size);
+    }
+    _writeFree(offset, size) {
+        this._buffer.writeUInt8(BLOCK.FREE, offset);
+        this._buffer.writeUInt32BE(size, offset + 1);
+        this._buffer.writeDoubleBE(NEVER, offset + 5);
+        this._buffer.writeUInt32BE(size, offset + BLOCK_HEADER_SIZE + size);
+    }
+    next(offset) {
+        assert(offset >= 0);
+        assert(offset < this._buffer.length);
+        const next_offset = offset + this._buffer.readUInt32BE(offset + 1) + BLOCK_OVERHEAD;
+        return next_offset < this._buffer.length ? next_offset : -1;
+    }
+    prev(offset) {
+        assert(offset >= 0);
+        assert(offset < this._buffer.length);
+        if (offset === 0) {
+            return -1;
+        }
+        return offset - BLOCK_OVERHEAD - this._buffer.readUInt32BE(offset - BLOCK_FOOTER_SIZE);
+    }
+    isBusy(offset) {
+        return this._buffer.readUInt8(offset) === BLOCK.BUSY;
+    }
+    getExpires(offset) {
+        assert(offset >= 0);
+        assert(offset < this._buffer.length);
+        return this._buffer.readDoubleBE(offset + 5);
+    }
+    isExpired(offset, now = Date.now()) {
+        const expires = this.getExpires(offset);
+        return expires !== NEVER && expires <= now;
+    }
+    available() {
+        return this._buffer.length - this._used;
+    }
+    capacity() {
+        return this._maxSize;
+    }
+    touch(offset) {
+        const frequency = this.getFrequency(offset);
+        const base = Math.max(frequency - LFU_INIT, 0);
+        const increment = frequency < 0xff && Math.random() < 1 / (base * LFU_LOG_FACTOR + 1) ? 1 : 0;
+        this._buffer.writeUInt32BE(clock(), offset + 21);
+        this._buffer.writeUInt8(frequency + increment, offset + 25);
+        return this;
+    }
+    getVersion(offset) {
+        return this._buffer.readDoubleBE(offset + 26);
+    }
+    getType(offset) {
+        return this._buffer.readUInt8(offset + 34);
+    }
+    getLength(offset) {
+        return this._buffer.readUInt32BE(offset + 13) + this._buffer.readUInt32BE(offset + 17);
+    }
+    getAccess(offset) {
+        return this._buffer.readUInt32BE(offset + 21);
+    }
+    getFrequency(offset) {
+        // logarithmic counter, decays by one every LFU_DECAY_TIME seconds without access
+        const periods = Math.floor((clock() - this.getAccess(offset)) / LFU_DECAY_TIME);
+        return Math.max(this._buffer.readUInt8(offset + 25) - periods, 0);
+    }
+    isKey(offset, key) {
+        assert(offset >= 0);
+        assert(offset < this._buffer.length);
+        if (!this.isBusy(offset)) {
+            return false;
+        }
+        const key_size = this._buffer.readUInt32BE(offset + 13);
+        const start = offset + BLOCK_HEADER_SIZE;
+        return key_size === key.length && this._buffer.compare(key, 0, key.length, start, start + key_size) === 0;
+    }
     getKey(offset) {
         assert(offset >= 0);
         assert(offset < this._buffer.length);
@@ -210,48 +525,164 @@ class Storage {
         if (flag === BLOCK.FREE) {
             return null;
         }
-        const size = this._buffer.readUInt32BE(offset + 1);
-        assert(size > 0);
-        const pair = this._buffer.slice(offset + 5, offset + 5 + size).toString().split('\0');
-        
-        return pair[0];
+        const key_size = this._buffer.readUInt32BE(offset + 13);
+        const start = offset + BLOCK_HEADER_SIZE;
+        return Buffer.from(this._buffer.slice(start, start + key_size));
     }
     getValue(offset) {
         const flag = this._buffer.readUInt8(offset);
         if (flag === BLOCK.FREE) {
             return null;
         }
-        const size = this._buffer.readUInt32BE(offset + 1);
-        const pair = this._buffer.slice(offset + 5, offset + 5 + size).toString().split('\0');
-        return pair[1];        
+        const key_size = this._buffer.readUInt32BE(offset + 13);
+        const value_size = this._buffer.readUInt32BE(offset + 17);
+        const start = offset + BLOCK_HEADER_SIZE + key_size;
+        return Buffer.from(this._buffer.slice(start, start + value_size));
     }
     delete(offset) {
         const flag = this._buffer.readUInt8(offset);
         if (flag === BLOCK.FREE) {
             return false;
-        }        
-        this._buffer.writeUInt8(BLOCK.FREE, offset);
-        this._lastOffset = offset;
+        }
+        this._used -= this._buffer.readUInt32BE(offset + 1) + BLOCK_OVERHEAD;
+
+        let start = offset;
+        let end = this.next(offset);
+        while (end !== -1 && !this.isBusy(end)) {
+            end = this.next(end);
+        }
+        end = end === -1 ? this._buffer.length : end;
+        for (let prev = this.prev(start); prev !== -1 && !this.isBusy(prev); prev = this.prev(start)) {
+            start = prev;
+        }
+
+        this._writeFree(start, end - start - BLOCK_OVERHEAD);
+        this._lastOffset = start;
+        this._cursors.forEach(cursor => {
+            if (cursor.offset > start && cursor.offset < end) {
+                cursor.offset = start;
+            }
+        });
         return true;
     }
+    compact(move) {
+        let moved = 0;
+        let to = 0;
+        for (let from = 0, next; from !== -1; from = next) {
+            next = this.next(from);
+            if (!this.isBusy(from)) {
+                continue;
+            }
+            const key_size = this._buffer.readUInt32BE(from + 13);
+            const value_size = this._buffer.readUInt32BE(from + 17);
+            const size = key_size + value_size;
+            if (from !== to) {
+                this._buffer.copy(this._buffer, to, from, from + BLOCK_HEADER_SIZE + size);
+                move(this.getKey(to), from, to);
+                moved++;
+            }
+            // a block that was given a few spare bytes on save is trimmed even when it stays in place
+            this._buffer.writeUInt32BE(size, to + 1);
+            this._buffer.writeUInt32BE(size, to + BLOCK_HEADER_SIZE + size);
+            to += size + BLOCK_OVERHEAD;
+        }
+
+        this._used = to;
+        if (to === 0) {
+            this._writeFree(0, this._buffer.length - BLOCK_OVERHEAD);
+        } else if (to < this._buffer.length) {
+            this._extend(to);
+            if (this._buffer.length - to < BLOCK_OVERHEAD) {
+                this._used = this._buffer.length;
+            }
+        }
+
+        this._lastOffset = 0;
+        this._cursors.forEach(cursor => {
+            cursor.offset = 0;
+        });
+        return moved;
+    }
+    stats() {
+        const stats = {
+            size: this._buffer.length,
+            used: 0,
+            free: 0,
+            records: 0,
+            freeBlocks: 0,
+            largestFree: 0,
+            fragmentation: 0
+        };
+        for (let offset = 0; offset !== -1; offset = this.next(offset)) {
+            const size = this._buffer.readUInt32BE(offset + 1);
+            if (this.isBusy(offset)) {
+                stats.records++;
+                stats.used += size + BLOCK_OVERHEAD;
+            } else {
+                stats.freeBlocks++;
+                stats.free += size;
+                stats.largestFree = Math.max(stats.largestFree, size);
+            }
+        }
+        if (stats.free > 0) {
+            stats.fragmentation = 1 - stats.largestFree / stats.free;
+        }
+        return stats;
+    }
 }
 
 
-const EOC = 0xffffffff;
+const reverseBits = (v) => {
+    v = ((v >>> 1) & 0x55555555) | ((v & 0x55555555) << 1);
+    v = ((v >>> 2) & 0x33333333) | ((v & 0x33333333) << 2);
+    v = ((v >>> 4) & 0x0f0f0f0f) | ((v & 0x0f0f0f0f) << 4);
+    v = ((v >>> 8) & 0x00ff00ff) | ((v & 0x00ff00ff) << 8);
+    return ((v >>> 16) | (v << 16)) >>> 0;
+};
+
+const INDEX_NODE_SIZE = 22; // node(12) + bucket(4) + bloom(4.8 at 1%) + bitmap(1/8), rounded up
 
 class Index {
-    constructor(buffer, getHashFunc) {
-        const length = buffer.length >> 3;
-        const nodes_length = (length >> 1) + (length >> 2); // 75%
-        const bitmap_length = nodes_length >> 5;
-        const bloom_length = length >> 5;
-        const htable_length = length - nodes_length - bitmap_length - bloom_length;
-        
+    constructor(size, getHashFunc, falsePositiveRate = BLOOM_FALSE_POSITIVE_RATE) {
+        assert(size >= INDEX_NODE_SIZE << 3);
+
+        // a power of two, at least 8: the bitmap never hands out a node past the pool
+        // and scan cursors survive the table doubling
+        let capacity = 8;
+        while ((capacity << 1) * INDEX_NODE_SIZE <= size) {
+            capacity <<= 1;
+        }
+
         this._hash = getHashFunc(199);
-        this._bitmap = new BitMap(buffer.slice(0, bitmap_length));
-        this._bloom = new BloomFilter(buffer.slice(bitmap_length, bitmap_length + bloom_length), getHashFunc, [1087, 1697, 2039, 2843, 3041]);
-        this._table = new Uint32Array(buffer.slice(bitmap_length + bloom_length, bitmap_length + bloom_length + htable_length));
-        this._nodes = new Uint32Array(buffer.slice(bitmap_length + bloom_length + htable_length));
+        this._falsePositiveRate = falsePositiveRate;
+        // lookups the bloom filter answered, and the ones it let through for absent keys
+        this._negatives = 0;
+        this._falsePositives = 0;
+        this._allocate(capacity);
+    }
+    _allocate(capacity) {
+        this._capacity = capacity;
+        this._count = 0;
+        this._bitmap = new BitMap(Buffer.alloc(capacity >> 3));
+        this._table = new Uint32Array(capacity).fill(EOC);
+        this._nodes = new Uint32Array(Index.getNodeBlockOffset(capacity));
+        this._bloom = new BloomFilter(capacity, this._falsePositiveRate);
+    }
+    _grow() {
+        this.rebuild(this._capacity << 1);
+    }
+    rebuild(capacity = this._capacity) {
+        // nodes keep their hashes, so the table and the bloom filter are refilled from them alone
+        const table = this._table;
+        const nodes = this._nodes;
+        this._allocate(capacity);
+        for (let i = 0; i < table.length; i++) {
+            for (let curr_offset = table[i]; curr_offset !== EOC; curr_offset = nodes[Index.getNodeBlockOffset(curr_offset) + 2]) {
+                const _addr = Index.getNodeBlockOffset(curr_offset);
+                this._insert(nodes[_addr], nodes[_addr + 1], null);
+            }
+        }
+        return this;
     }
     static getNodeBlockOffset(index) {
         return index + (index<<1);
@@ -259,46 +690,83 @@ class Index {
     clear() {
         this._bitmap.clear();
         this._bloom.clear();
-        for (let i = 0; i < this._table.length; i++) {
-            this._table[i] = EOC;
-        }
+        this._table.fill(EOC);
+        this._count = 0;
         return this;
     }
     get(key, check) {
         assert(key);
-        if (!this._bloom.has(key)) {
+
+        const hash = this._hash(key);
+        if (!this._bloom.has(hash)) {
+            this._negatives++;
             return -1;
         }
 
-        const hash = this._hash(key);
         const index = hash % this._table.length;
 
         let curr_offset = this._table[index];
         for (;;) {
-            assert(curr_offset >= 0);
-            assert(curr_offset < this._table.length);
             if (curr_offset === EOC) {
+                this._falsePositives++;
                 return -1;
             }
+            assert(curr_offset >= 0);
+            assert(Index.getNodeBlockOffset(curr_offset) < this._nodes.length);
             let _addr = Index.getNodeBlockOffset(curr_offset);
             const curr_hash = this._nodes[_addr];
             const curr_id = this._nodes[_addr + 1];
             if (hash === curr_hash && check(curr_id)) {
                 return curr_id;
             } else if (hash > curr_hash) {
+                this._falsePositives++;
                 return -1;
             } else {
                 curr_offset =  this._nodes[_addr + 2];
             }
         }        
     }
-    has(key, check) {
+    sample() {
+        if (this._count === 0) {
+            return -1;
+        }
+        // probing from a random slot favours nodes after long gaps, so retry a few times first
+        let node = Math.floor(Math.random() * this._capacity);
+        for (let i = 0; i < 32 && !this._bitmap.has(node); i++) {
+            node = Math.floor(Math.random() * this._capacity);
+        }
+        while (!this._bitmap.has(node)) {
+            node = (node + 1) % this._capacity;
+        }
+        return this._nodes[Index.getNodeBlockOffset(node) + 1];
+    }
+    scan(cursor, callback) {
+        // reverse binary iteration as in redis, every bucket is visited once even if the table grows
+        const mask = this._table.length - 1;
+        for (let curr_offset = this._table[cursor & mask]; curr_offset !== EOC; curr_offset = this._nodes[Index.getNodeBlockOffset(curr_offset) + 2]) {
+            callback(this._nodes[Index.getNodeBlockOffset(curr_offset) + 1]);
+        }
+        cursor = reverseBits((cursor | ~mask) >>> 0);
+        return reverseBits((cursor + 1) >>> 0);
+    }
+    move(key, from_id, to_id) {
         assert(key);
 
-        if (!this._bloom.has(key)) {
-            return false;
-        }
+        const hash = this._hash(key);
+        const index = hash % this._table.length;
 
+        let curr_offset = this._table[index];
+        while (curr_offset !== EOC) {
+            let _addr = Index.getNodeBlockOffset(curr_offset);
+            if (this._nodes[_addr] === hash && this._nodes[_addr + 1] === from_id) {
+                this._nodes[_addr + 1] = to_id;
+                return true;
+            }
+            curr_offset = this._nodes[_addr + 2];
+        }
+        return false;
+    }
+    has(key, check) {
         return this.get(key, check) !== -1;
     }
     set(id, key, check) {
@@ -307,67 +775,87 @@ class Index {
         assert(id >= 0);
         assert(key);
 
-        const hash = this._hash(key);
+        return this._insert(this._hash(key), id, check);
+    }
+    _insert(hash, id, check) {
+        if (this._count === this._capacity) {
+            this._grow();
+        }
+
         const index = hash % this._table.length;
 
         let pred_offset = EOC;
         let curr_offset = this._table[index];
         
-        for (;;) {
-            if (curr_offset === EOC) {
-                let new_offset = this._bitmap.fetch();
-                let _addr = Index.getNodeBlockOffset(new_offset); 
-                this._nodes[_addr] = hash;
-                this._nodes[_addr + 1] = id;
-                this._nodes[_addr + 2] = EOC;
-                if (pred_offset === EOC) {
-                    this._table[index] = new_offset;
-                } else {
-                    let _addr = Index.getNodeBlockOffset(pred_offset);
-                    this._nodes[_addr + 2] = new_offset;
-                }
-                this._bloom.add(key);
-                return true;
-            }
-
+        while (curr_offset !== EOC) {
             let _addr = Index.getNodeBlockOffset(curr_offset);
             const curr_hash = this._nodes[_addr];
             const curr_id = this._nodes[_addr + 1];
-            const curr_next = this._nodes[_addr + 2];
 
-            if (hash === curr_hash && check(curr_id)) {
+            if (hash === curr_hash && check && check(curr_id)) {
                 return false;
             }
-
             if (hash > curr_hash) {
-                let new_offset = this._bitmap.fetch();
-                let _addr = Index.getNodeBlockOffset(new_offset); 
-                this._nodes[_addr] = hash;
-                this._nodes[_addr + 1] = id;
-                this._nodes[_addr + 2] = EOC;
-                if (pred_offset === EOC) {
-                    this._table[index] = new_offset;
-                } else {
-                    let _addr = Index.getNodeBlockOffset(pred_offset);
-                    this._nodes[_addr + 2] = new_offset;
-                }
-                this._bloom.add(key);
-                return true;
+                break;
             }
 
             pred_offset = curr_offset;
-            curr_offset = curr_next;
+            curr_offset = this._nodes[_addr + 2];
         }
 
+        const new_offset = this._bitmap.fetch();
+        assert(new_offset !== -1);
+        let _addr = Index.getNodeBlockOffset(new_offset); 
+        this._nodes[_addr] = hash;
+        this._nodes[_addr + 1] = id;
+        this._nodes[_addr + 2] = curr_offset;
+        if (pred_offset === EOC) {
+            this._table[index] = new_offset;
+        } else {
+            let _addr = Index.getNodeBlockOffset(pred_offset);
+            this._nodes[_addr + 2] = new_offset;
+        }
+        this._bloom.add(hash);
+        this._count++;
+        return true;
+    }
+    stats() {
+        let usedBuckets = 0;
+        let maxChain = 0;
+        for (let i = 0; i < this._table.length; i++) {
+            let length = 0;
+            for (let curr_offset = this._table[i]; curr_offset !== EOC; curr_offset = this._nodes[Index.getNodeBlockOffset(curr_offset) + 2]) {
+                length++;
+            }
+            if (length > 0) {
+                usedBuckets++;
+                maxChain = Math.max(maxChain, length);
+            }
+        }
+        const misses = this._negatives + this._falsePositives;
+        return {
+            keys: this._count,
+            buckets: this._table.length,
+            usedBuckets,
+            load: this._count / this._table.length,
+            meanChain: usedBuckets > 0 ? this._count / usedBuckets : 0,
+            maxChain,
+            nodes: this._bitmap.stats(),
+            bloom: Object.assign(this._bloom.stats(), {
+                negatives: this._negatives,
+                falsePositives: this._falsePositives,
+                observedFalsePositiveRate: misses > 0 ? this._falsePositives / misses : 0
+            })
+        };
     }
     delete(key, check) {
         assert(key);
 
-        if (!this._bloom.has(key)) {
+        const hash = this._hash(key);
+        if (!this._bloom.has(hash)) {
             return -1;
         }
 
-        const hash = this._hash(key);
         const index = hash % this._table.length;
     
         let pred_offset = EOC;
@@ -388,7 +876,8 @@ class Index {
                     this._nodes[_addr + 2] = curr_next;
                 }
                 this._bitmap.free(curr_offset);
-                this._bloom.remove(key);
+                this._bloom.remove(hash);
+                this._count--;
                 return curr_id;
             } else if (hash > curr_hash) {
                 return -1;
@@ -400,261 +889,4982 @@ class Index {
     }
 }
 
-class NoSql {
-    constructor(index, storage, cache) {
+const POLICY = Object.freeze({
+    NOEVICTION: 'noeviction',
+    ALLKEYS_LRU: 'allkeys-lru',
+    ALLKEYS_LFU: 'allkeys-lfu',
+    ALLKEYS_RANDOM: 'allkeys-random',
+    VOLATILE_LRU: 'volatile-lru',
+    VOLATILE_LFU: 'volatile-lfu',
+    VOLATILE_RANDOM: 'volatile-random',
+    VOLATILE_TTL: 'volatile-ttl'
+});
+
+class WrongTypeError extends TypeError {
+    constructor() {
+        super('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+}
+
+class NoSql extends EventEmitter {
+    constructor(index, storage, cache, policy = POLICY.NOEVICTION) {
         assert(index && index instanceof Index);
         assert(storage && storage instanceof Storage);
+        assert(Object.keys(POLICY).some(name => POLICY[name] === policy));
 
+        super();
         this._index = index;
         this._storage = storage;
         this._cache = cache;
+        this._policy = policy;
+        this._sweeper = storage.cursor();
+        this._expired = 0;
+        this._evicted = 0;
+        this._version = 0;
+    }
+    static _name(key) {
+        // index and cache hash strings, a latin1 string keeps one char per key byte
+        return key.toString('latin1');
+    }
+    static _glob(pattern) {
+        const escape = (text) => {
+            return text.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+        };
+        pattern = NoSql._name(toBuffer(pattern));
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const c = pattern[i];
+            if (c === '*') {
+                source += '[\\s\\S]*';
+            } else if (c === '?') {
+                source += '[\\s\\S]';
+            } else if (c === '[' && pattern.indexOf(']', i + 2) !== -1) {
+                const end = pattern.indexOf(']', i + 2);
+                const negate = pattern[i + 1] === '^';
+                const set = pattern.slice(negate ? i + 2 : i + 1, end);
+                source += '[' + (negate ? '^' : '') + set.replace(/[\\\]^[]/g, '\\$&') + ']';
+                i = end;
+            } else if (c === '\\' && i + 1 < pattern.length) {
+                source += escape(pattern[++i]);
+            } else {
+                source += escape(c);
+            }
+        }
+        return new RegExp('^' + source + '$');
     }
     has(key) {
-        assert(key);
-        if (this._cache.has(key)) {
+        key = toBuffer(key);
+        assert(key.length > 0);
+        const name = NoSql._name(key);
+        if (this._cache.has(name)) {
             return true;
         }
-        return this._index.has(key,
+        const id = this._index.get(name,
             (id) => {
-                return this._storage.getKey(id) === key;
+                return this._storage.isKey(id, key);
             }
         );
+        if (id === -1) {
+            return false;
+        }
+        if (this._storage.isExpired(id)) {
+            this._expire(key, id);
+            return false;
+        }
+        return true;
     }
-    set(key, value) {
-        assert(key);
-        this._cache.set(key, value);
-        const id = this._storage.save(key, value);
+    set(key, value, expires = NEVER, type = TYPE.string) {
+        key = toBuffer(key);
+        value = toBuffer(value);
+        assert(key.length > 0);
+        const name = NoSql._name(key);
+        const check = (id) => {
+            return this._storage.isKey(id, key);
+        };
+        const id = this._save(key, value, expires, ++this._version, type);
         if (id === -1) {
+            this._cache.remove(name);
             return false;
         }
-        return this._index.set(id, key,
+        // saving may evict or compact, so the previous record is looked up afterwards;
+        // the new block is not indexed yet, so it is never the one found
+        const previous = this._index.get(name, check);
+        let replaced = 0;
+        if (previous === -1) {
+            assert(this._index.set(id, name, check));
+        } else {
+            replaced = this._storage.getLength(previous);
+            this._index.move(name, previous, id);
+            this._storage.delete(previous);
+        }
+        // only strings are cached, so a cache hit never needs a type check
+        if (type === TYPE.string) {
+            this._cache.set(name, value, expires, id);
+        } else {
+            this._cache.remove(name);
+        }
+        this.emit('set', key, value, expires, type, replaced);
+        return true;
+    }
+    put(key, value, expires = NEVER, type = TYPE.string) {
+        return this.set(key, value, expires, type);
+    }
+    entry(key) {
+        key = toBuffer(key);
+        assert(key.length > 0);
+        const id = this._index.get(NoSql._name(key),
             (id) => {
-                return this._storage.getKey(id) === key;
+                return this._storage.isKey(id, key);
             }
         );
+        if (id === -1 || this._storage.isExpired(id)) {
+            return;
+        }
+        return {
+            value: this._storage.getValue(id),
+            expires: this._storage.getExpires(id),
+            version: this._storage.getVersion(id),
+            type: this._storage.getType(id)
+        };
     }
-    get(key) {
-        assert(key);
-        if (this._cache.has(key)) {
-            return this._cache.get(key);
+    type(key) {
+        const entry = this.entry(key);
+        return entry ? Object.keys(TYPE).find(name => TYPE[name] === entry.type) : 'none';
+    }
+    _items(key, type) {
+        const entry = this.entry(key);
+        if (!entry) {
+            return { items: [], expires: NEVER };
         }
-        const id = this._index.get(key,
-            (id) => {
-                return this._storage.getKey(id) === key;
+        if (entry.type !== type) {
+            throw new WrongTypeError();
+        }
+        return { items: unpackItems(entry.value), expires: entry.expires };
+    }
+    _putItems(key, type, items, expires) {
+        // like Redis, an empty hash, list or set is no key at all
+        if (items.length === 0) {
+            this.delete(key);
+        } else if (!this.put(key, packItems(items), expires, type)) {
+            throw new RangeError('out of memory');
+        }
+    }
+    hset(key, field, value) {
+        field = toBuffer(field);
+        const {items, expires} = this._items(key, TYPE.hash);
+        for (let i = 0; i < items.length; i += 2) {
+            if (items[i].equals(field)) {
+                items[i + 1] = toBuffer(value);
+                this._putItems(key, TYPE.hash, items, expires);
+                return false;
             }
-        );
-        if (id === -1) {
-            return;
         }
-        return this._storage.getValue(id);
+        items.push(field, toBuffer(value));
+        this._putItems(key, TYPE.hash, items, expires);
+        return true;
     }
-    delete(key) {
-        assert(key);
-        this._cache.remove(key);
-        const id = this._index.delete(key,
-            (id) => {
-                return this._storage.getKey(id) === key;
+    hget(key, field) {
+        field = toBuffer(field);
+        const {items} = this._items(key, TYPE.hash);
+        for (let i = 0; i < items.length; i += 2) {
+            if (items[i].equals(field)) {
+                return items[i + 1];
             }
-        );
-        if (id === -1) {
-            return false;
         }
-        return this._storage.delete(id);
     }
-
-}
-
-class Snapshot {
-    constructor(space) {
-        this._space = space;
+    hdel(key, field) {
+        field = toBuffer(field);
+        const {items, expires} = this._items(key, TYPE.hash);
+        for (let i = 0; i < items.length; i += 2) {
+            if (items[i].equals(field)) {
+                items.splice(i, 2);
+                this._putItems(key, TYPE.hash, items, expires);
+                return true;
+            }
+        }
+        return false;
     }
-    save(fileName) {
+    hgetall(key) {
+        const {items} = this._items(key, TYPE.hash);
+        const pairs = [];
+        for (let i = 0; i < items.length; i += 2) {
+            pairs.push([items[i], items[i + 1]]);
+        }
+        return pairs;
+    }
+    lpush(key, ...values) {
+        const {items, expires} = this._items(key, TYPE.list);
+        values.forEach(value => {
+            items.unshift(toBuffer(value));
+        });
+        this._putItems(key, TYPE.list, items, expires);
+        return items.length;
+    }
+    rpush(key, ...values) {
+        const {items, expires} = this._items(key, TYPE.list);
+        values.forEach(value => {
+            items.push(toBuffer(value));
+        });
+        this._putItems(key, TYPE.list, items, expires);
+        return items.length;
+    }
+    lpop(key) {
+        const {items, expires} = this._items(key, TYPE.list);
+        const value = items.shift();
+        if (value !== undefined) {
+            this._putItems(key, TYPE.list, items, expires);
+        }
+        return value;
+    }
+    rpop(key) {
+        const {items, expires} = this._items(key, TYPE.list);
+        const value = items.pop();
+        if (value !== undefined) {
+            this._putItems(key, TYPE.list, items, expires);
+        }
+        return value;
+    }
+    lrange(key, start, stop) {
+        // inclusive bounds, negative ones count from the end
+        const {items} = this._items(key, TYPE.list);
+        if (start < 0) {
+            start = Math.max(items.length + start, 0);
+        }
+        if (stop < 0) {
+            stop = items.length + stop;
+        }
+        return items.slice(start, stop + 1);
+    }
+    sadd(key, ...members) {
+        const {items, expires} = this._items(key, TYPE.set);
+        const names = new Set(items.map(NoSql._name));
+        let added = 0;
+        members.map(toBuffer).forEach(member => {
+            if (!names.has(NoSql._name(member))) {
+                names.add(NoSql._name(member));
+                items.push(member);
+                added++;
+            }
+        });
+        if (added > 0) {
+            this._putItems(key, TYPE.set, items, expires);
+        }
+        return added;
+    }
+    srem(key, ...members) {
+        const {items, expires} = this._items(key, TYPE.set);
+        const names = new Set(members.map(member => NoSql._name(toBuffer(member))));
+        const rest = items.filter(item => !names.has(NoSql._name(item)));
+        if (rest.length < items.length) {
+            this._putItems(key, TYPE.set, rest, expires);
+        }
+        return items.length - rest.length;
+    }
+    sismember(key, member) {
+        member = toBuffer(member);
+        return this._items(key, TYPE.set).items.some(item => item.equals(member));
+    }
+    smembers(key) {
+        return this._items(key, TYPE.set).items;
+    }
+    setnx(key, value, expires = NEVER) {
+        if (this.has(key)) {
+            return false;
+        }
+        if (!this.set(key, value, expires)) {
+            throw new RangeError('out of memory');
+        }
+        return true;
+    }
+    getset(key, value) {
+        const entry = this.entry(key);
+        if (entry && entry.type !== TYPE.string) {
+            throw new WrongTypeError();
+        }
+        if (!this.put(key, value)) {
+            throw new RangeError('out of memory');
+        }
+        return entry ? entry.value : undefined;
+    }
+    incr(key, by = 1) {
+        assert(Number.isSafeInteger(by));
+        const entry = this.entry(key);
+        if (entry && entry.type !== TYPE.string) {
+            throw new WrongTypeError();
+        }
+        const text = entry ? entry.value.toString() : '0';
+        if (!/^-?\d+$/.test(text) || !Number.isSafeInteger(Number(text) + by)) {
+            throw new TypeError('value is not an integer or out of range');
+        }
+        const result = Number(text) + by;
+        if (!this.put(key, String(result), entry ? entry.expires : NEVER)) {
+            throw new RangeError('out of memory');
+        }
+        return result;
+    }
+    append(key, value) {
+        value = toBuffer(value);
+        const entry = this.entry(key);
+        if (entry && entry.type !== TYPE.string) {
+            throw new WrongTypeError();
+        }
+        const result = entry ? Buffer.concat([entry.value, value]) : value;
+        if (!this.put(key, result, entry ? entry.expires : NEVER)) {
+            throw new RangeError('out of memory');
+        }
+        return result.length;
+    }
+    cas(key, value, version, expires = NEVER) {
+        // version 0 means the key must not exist
+        const entry = this.entry(key);
+        if ((entry ? entry.version : 0) !== version) {
+            return false;
+        }
+        if (!this.put(key, value, expires)) {
+            throw new RangeError('out of memory');
+        }
+        return true;
+    }
+    version(key) {
+        const entry = this.entry(key);
+        return entry ? entry.version : 0;
+    }
+    _save(key, value, expires, version, type) {
+        const length = key.length + value.length;
+        if (length + BLOCK_OVERHEAD > this._storage.capacity()) {
+            return -1;
+        }
+        let id = this._storage.save(key, value, expires, version, type);
+        while (id === -1) {
+            if (this._storage.available() >= length + BLOCK_OVERHEAD) {
+                this.compact();
+            } else if (!this._storage.grow(length) && !this._evict()) {
+                return -1;
+            }
+            id = this._storage.save(key, value, expires, version, type);
+        }
+        return id;
+    }
+    _evict() {
+        if (this._policy === POLICY.NOEVICTION) {
+            return false;
+        }
+        const volatile = this._policy.startsWith('volatile-');
+        let victim = -1;
+        let victim_score = Infinity;
+        for (let i = 0, samples = 0; i < EVICTION_TRIES && samples < EVICTION_SAMPLES; i++) {
+            const id = this._index.sample();
+            if (id === -1) {
+                break;
+            }
+            const expires = this._storage.getExpires(id);
+            if (volatile && expires === NEVER) {
+                continue;
+            }
+            samples++;
+            let score;
+            switch (this._policy) {
+            case POLICY.ALLKEYS_LRU:
+            case POLICY.VOLATILE_LRU: {
+                score = this._storage.getAccess(id);
+            }
+            break;
+            case POLICY.ALLKEYS_LFU:
+            case POLICY.VOLATILE_LFU: {
+                score = this._storage.getFrequency(id);
+            }
+            break;
+            case POLICY.VOLATILE_TTL: {
+                score = expires;
+            }
+            break;
+            default: {
+                score = 0;
+            }
+            }
+            if (score < victim_score) {
+                victim = id;
+                victim_score = score;
+            }
+        }
+        if (victim === -1) {
+            return false;
+        }
+        const key = this._storage.getKey(victim);
+        const length = this._storage.getLength(victim);
+        this._remove(key, victim);
+        this._evicted++;
+        this.emit('evict', key, length);
+        return true;
+    }
+    get(key) {
+        key = toBuffer(key);
+        assert(key.length > 0);
+        const name = NoSql._name(key);
+        if (this._cache.has(name)) {
+            this._storage.touch(this._cache.getId(name));
+            return this._cache.get(name);
+        }
+        const id = this._index.get(name,
+            (id) => {
+                return this._storage.isKey(id, key);
+            }
+        );
+        if (id === -1) {
+            return;
+        }
+        if (this._storage.isExpired(id)) {
+            this._expire(key, id);
+            return;
+        }
+        if (this._storage.getType(id) !== TYPE.string) {
+            throw new WrongTypeError();
+        }
+        this._storage.touch(id);
+        return this._storage.getValue(id);
+    }
+    ttl(key) {
+        key = toBuffer(key);
+        assert(key.length > 0);
+        const id = this._index.get(NoSql._name(key),
+            (id) => {
+                return this._storage.isKey(id, key);
+            }
+        );
+        if (id === -1) {
+            return -2;
+        }
+        const expires = this._storage.getExpires(id);
+        if (expires === NEVER) {
+            return -1;
+        }
+        const now = Date.now();
+        if (expires <= now) {
+            this._expire(key, id);
+            return -2;
+        }
+        return Math.ceil((expires - now) / 1000);
+    }
+    delete(key) {
+        key = toBuffer(key);
+        assert(key.length > 0);
+        const name = NoSql._name(key);
+        this._cache.remove(name);
+        const id = this._index.delete(name,
+            (id) => {
+                return this._storage.isKey(id, key);
+            }
+        );
+        if (id === -1) {
+            return false;
+        }
+        const length = this._storage.getLength(id);
+        if (!this._storage.delete(id)) {
+            return false;
+        }
+        this.emit('delete', key, length);
+        return true;
+    }
+    scan(cursor = 0, count = SCAN_COUNT, match = null) {
+        assert(count > 0);
+        const pattern = match ? NoSql._glob(match) : null;
+        // keys starting with NAMESPACE_MARK belong to namespaces, only a pattern starting with it finds them
+        const hidden = !match || toBuffer(match)[0] !== NAMESPACE_MARK;
+        const now = Date.now();
+        const keys = [];
+        let buckets = count * 10;
+        do {
+            cursor = this._index.scan(cursor,
+                (id) => {
+                    if (this._storage.isExpired(id, now)) {
+                        return;
+                    }
+                    const key = this._storage.getKey(id);
+                    if (hidden && key[0] === NAMESPACE_MARK) {
+                        return;
+                    }
+                    if (!pattern || pattern.test(NoSql._name(key))) {
+                        keys.push(key);
+                    }
+                }
+            );
+        } while (cursor !== 0 && keys.length < count && --buckets > 0);
+        return { cursor, keys };
+    }
+    clear() {
+        this._index.clear();
+        this._storage.clear();
+        this._cache.clear();
+        this.emit('clear');
+        return this;
+    }
+    reload() {
+        this._index.clear();
+        this._cache.clear();
+        this._sweeper.offset = 0;
+        for (let offset = 0; offset !== -1; offset = this._storage.next(offset)) {
+            if (this._storage.isBusy(offset)) {
+                const key = this._storage.getKey(offset);
+                this._version = Math.max(this._version, this._storage.getVersion(offset));
+                this._index.set(offset, NoSql._name(key),
+                    (id) => {
+                        return this._storage.isKey(id, key);
+                    }
+                );
+            }
+        }
+        this.emit('reload');
+        return this;
+    }
+    expire(limit = SWEEP_LIMIT) {
+        const now = Date.now();
+        let expired = 0;
+        for (let i = 0; i < limit; i++) {
+            const offset = this._sweeper.offset;
+            if (this._storage.isBusy(offset) && this._storage.isExpired(offset, now)) {
+                this._expire(this._storage.getKey(offset), offset);
+                expired++;
+            }
+            const next = this._storage.next(this._sweeper.offset);
+            if (next === -1) {
+                this._sweeper.offset = 0;
+                break;
+            }
+            this._sweeper.offset = next;
+        }
+        return expired;
+    }
+    compact() {
+        this._cache.clear();
+        return this._storage.compact(
+            (key, from_id, to_id) => {
+                this._index.move(NoSql._name(key), from_id, to_id);
+            }
+        );
+    }
+    stats() {
+        return Object.assign(this._storage.stats(), {
+            policy: this._policy,
+            expired: this._expired,
+            evicted: this._evicted
+        });
+    }
+    info() {
+        return Object.assign(this.stats(), {
+            cache: this._cache.stats(),
+            index: this._index.stats()
+        });
+    }
+    _expire(key, id) {
+        const length = this._storage.getLength(id);
+        if (!this._remove(key, id)) {
+            return false;
+        }
+        this._expired++;
+        this.emit('expire', key, length);
+        return true;
+    }
+    _remove(key, id) {
+        const name = NoSql._name(key);
+        this._cache.remove(name);
+        this._index.delete(name,
+            (curr_id) => {
+                return curr_id === id;
+            }
+        );
+        return this._storage.delete(id);
+    }
+}
+
+class TransactionError extends Error {
+    constructor(index, cause) {
+        super(cause.message);
+        this.index = index;
+        this.cause = cause;
+    }
+}
+
+class Transaction {
+    constructor(nosql) {
+        // a NoSql or a Namespace
+        assert(nosql);
+        this._nosql = nosql;
+        this._watched = [];
+        this._ops = [];
+    }
+    watch(key, version = this._nosql.version(key)) {
+        this._watched.push({ key: toBuffer(key), version });
+        return this;
+    }
+    unwatch() {
+        this._watched = [];
+        return this;
+    }
+    queue(keys, op) {
+        // keys are the ones op may change, their values are kept to undo it
+        this._ops.push({ keys: keys.map(toBuffer), op });
+        return this;
+    }
+    size() {
+        return this._ops.length;
+    }
+    exec() {
+        const nosql = this._nosql;
+        const ops = this._ops;
+        const changed = this._watched.some(watched => {
+            return nosql.version(watched.key) !== watched.version;
+        });
+        this._watched = [];
+        this._ops = [];
+        if (changed) {
+            return null;
+        }
+        const undo = [];
+        const results = [];
+        for (let i = 0; i < ops.length; i++) {
+            try {
+                // reading a key may already be refused, so that fails the op too
+                ops[i].keys.forEach(key => {
+                    undo.push({ key, previous: nosql.entry(key) });
+                });
+                results.push(ops[i].op());
+            } catch (ex) {
+                undo.reverse().forEach(change => {
+                    if (change.previous) {
+                        nosql.put(change.key, change.previous.value, change.previous.expires, change.previous.type);
+                    } else {
+                        nosql.delete(change.key);
+                    }
+                });
+                throw new TransactionError(i, ex);
+            }
+        }
+        return results;
+    }
+}
+
+class QuotaError extends Error {
+    constructor(name) {
+        super(`namespace '${name}' is over its quota`);
+        this.namespace = name;
+    }
+}
+
+const NAMESPACE_NAME = /^[A-Za-z0-9_.-]{1,64}$/;
+
+class Namespaces {
+    constructor(nosql) {
+        assert(nosql && nosql instanceof NoSql);
+        this._nosql = nosql;
+        this._limits = new Map(); // name -> { keys, bytes }, 0 is unlimited
+        this._usage = new Map(); // name -> { keys, bytes }
+
+        // a namespace is defined by the record of its empty key, so it travels with snapshots, the log and replicas
+        nosql.on('set', (key, value, expires, type, replaced) => {
+            this._update(key, replaced > 0 ? 0 : 1, key.length + value.length - replaced, value);
+        });
+        ['delete', 'expire', 'evict'].forEach(event => {
+            nosql.on(event, (key, length) => {
+                this._update(key, -1, -length);
+            });
+        });
+        nosql.on('clear', () => {
+            this._limits.clear();
+            this._usage.clear();
+        });
+        nosql.on('reload', () => {
+            this._load();
+        });
+    }
+    static prefix(name) {
+        return Buffer.concat([Buffer.from([NAMESPACE_MARK]), Buffer.from(name), Buffer.from([NAMESPACE_MARK])]);
+    }
+    static _parse(key) {
+        if (key[0] !== NAMESPACE_MARK) {
+            return null;
+        }
+        const end = key.indexOf(NAMESPACE_MARK, 1);
+        if (end === -1) {
+            return null;
+        }
+        return { name: key.toString('latin1', 1, end), key: key.slice(end + 1) };
+    }
+    _update(key, keys, bytes, value) {
+        const parsed = Namespaces._parse(toBuffer(key));
+        if (!parsed) {
+            return;
+        }
+        if (parsed.key.length === 0) {
+            const limits = value === undefined ? null : Namespaces._limits(parsed.name, value);
+            if (limits) {
+                this._limits.set(parsed.name, limits);
+            } else {
+                this._limits.delete(parsed.name);
+            }
+            return;
+        }
+        const usage = this._usage.get(parsed.name) || { keys: 0, bytes: 0 };
+        usage.keys += keys;
+        usage.bytes += bytes;
+        if (usage.keys > 0) {
+            this._usage.set(parsed.name, usage);
+        } else {
+            this._usage.delete(parsed.name);
+        }
+    }
+    static _limits(name, value) {
+        // the record may come from a snapshot, an import or a log, so it is checked rather than trusted
+        let limits;
+        try {
+            limits = JSON.parse(value.toString());
+        } catch (ex) {
+            return null;
+        }
+        const valid = (n) => {
+            return Number.isSafeInteger(n) && n >= 0;
+        };
+        if (!NAMESPACE_NAME.test(name) || limits === null || typeof limits !== 'object' || !valid(limits.keys) || !valid(limits.bytes)) {
+            return null;
+        }
+        return { keys: limits.keys, bytes: limits.bytes };
+    }
+    _keys(match) {
+        const keys = [];
+        let cursor = 0;
+        do {
+            const page = this._nosql.scan(cursor, SCAN_COUNT, match);
+            keys.push(...page.keys);
+            cursor = page.cursor;
+        } while (cursor !== 0);
+        return keys;
+    }
+    _load() {
+        this._limits.clear();
+        this._usage.clear();
+        this._keys(Buffer.from([NAMESPACE_MARK, 0x2a])).forEach(key => { // '*'
+            const entry = this._nosql.entry(key);
+            if (entry) {
+                this._update(key, 1, key.length + entry.value.length, entry.value);
+            }
+        });
+    }
+    has(name) {
+        return this._limits.has(name);
+    }
+    get(name) {
+        return this.has(name) ? new Namespace(this._nosql, this, name) : undefined;
+    }
+    limits(name) {
+        return this._limits.get(name);
+    }
+    usage(name) {
+        return this._usage.get(name) || { keys: 0, bytes: 0 };
+    }
+    create(name, limits) {
+        assert(NAMESPACE_NAME.test(name));
+        return this._nosql.put(Namespaces.prefix(name), JSON.stringify({ keys: limits.keys || 0, bytes: limits.bytes || 0 }));
+    }
+    drop(name) {
+        if (!this.has(name)) {
+            return false;
+        }
+        const prefix = Namespaces.prefix(name);
+        this._keys(Buffer.concat([prefix, Buffer.from('?*')])).forEach(key => {
+            this._nosql.delete(key);
+        });
+        return this._nosql.delete(prefix);
+    }
+    list() {
+        return Array.from(this._limits.keys()).sort().map(name => {
+            const limits = this.limits(name);
+            const usage = this.usage(name);
+            return { name, keys: usage.keys, bytes: usage.bytes, maxKeys: limits.keys, maxBytes: limits.bytes };
+        });
+    }
+}
+
+class Namespace {
+    constructor(nosql, namespaces, name) {
+        this._nosql = nosql;
+        this._namespaces = namespaces;
+        this._name = name;
+        this._prefix = Namespaces.prefix(name);
+    }
+    _key(key) {
+        if (!this._namespaces.has(this._name)) {
+            throw new Error(`namespace '${this._name}' was dropped`);
+        }
+        return Buffer.concat([this._prefix, toBuffer(key)]);
+    }
+    _write(key, op) {
+        // run the write as a transaction of its own, so going over the quota undoes it
+        const tx = new Transaction(this._nosql).queue([this._key(key)], () => {
+            const result = op();
+            const limits = this._namespaces.limits(this._name);
+            const usage = this._namespaces.usage(this._name);
+            if ((limits.keys > 0 && usage.keys > limits.keys) || (limits.bytes > 0 && usage.bytes > limits.bytes)) {
+                throw new QuotaError(this._name);
+            }
+            return result;
+        });
+        try {
+            return tx.exec()[0];
+        } catch (ex) {
+            throw ex.cause;
+        }
+    }
+    scan(cursor = 0, count = SCAN_COUNT, match = null) {
+        const page = this._nosql.scan(cursor, count, Buffer.concat([this._prefix, toBuffer(match || '*')]));
+        // the empty key holds the namespace itself
+        const keys = page.keys.map(key => key.slice(this._prefix.length)).filter(key => key.length > 0);
+        return { cursor: page.cursor, keys };
+    }
+}
+
+// the key operations of NoSql that views such as Namespace forward, by what they do to the key
+const KEY_READS = Object.freeze(['has', 'get', 'entry', 'version', 'ttl', 'type', 'hget', 'hgetall', 'lrange', 'sismember', 'smembers']);
+const KEY_REMOVES = Object.freeze(['delete', 'hdel', 'lpop', 'rpop', 'srem']);
+const KEY_WRITES = Object.freeze(['set', 'put', 'setnx', 'getset', 'incr', 'append', 'cas', 'hset', 'lpush', 'rpush', 'sadd']);
+
+KEY_READS.concat(KEY_REMOVES).forEach(method => {
+    Namespace.prototype[method] = function (key, ...args) {
+        return this._nosql[method](this._key(key), ...args);
+    };
+});
+KEY_WRITES.forEach(method => {
+    Namespace.prototype[method] = function (key, ...args) {
+        return this._write(key, () => this._nosql[method](this._key(key), ...args));
+    };
+});
+
+class AccessError extends Error {
+}
+
+class Acl {
+    constructor(users) {
+        if (!Array.isArray(users) || users.length === 0) {
+            throw new TypeError('the acl must be a non-empty array of users');
+        }
+        this._users = users.map(user => {
+            if (!user || typeof user.name !== 'string' || user.name.length === 0 || user.name.indexOf(':') !== -1) {
+                throw new TypeError('every user needs a name without a colon');
+            }
+            ['password', 'token'].forEach(secret => {
+                if (secret in user && (typeof user[secret] !== 'string' || user[secret].length === 0)) {
+                    throw new TypeError(`${secret} of user '${user.name}' must be a non-empty string`);
+                }
+            });
+            if (!user.password && !user.token) {
+                throw new TypeError(`user '${user.name}' needs a password or a token`);
+            }
+            ['prefixes', 'namespaces'].forEach(list => {
+                if (list in user && !(Array.isArray(user[list]) && user[list].every(item => typeof item === 'string'))) {
+                    throw new TypeError(`${list} of user '${user.name}' must be an array of strings`);
+                }
+            });
+            return Object.freeze({
+                name: user.name,
+                password: user.password ? Acl._digest(user.password) : null,
+                token: user.token ? Acl._digest(user.token) : null,
+                admin: user.admin === true,
+                readonly: user.readonly === true,
+                prefixes: user.prefixes ? user.prefixes.map(prefix => Buffer.from(prefix)) : null,
+                namespaces: user.namespaces || null
+            });
+        });
+    }
+    static load(fileName) {
+        return new Acl(JSON.parse(fs.readFileSync(fileName, 'utf8')));
+    }
+    static _digest(secret) {
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+    static _equal(digest, secret) {
+        // digests have the same length, so the comparison takes the same time whatever the secret
+        return digest !== null && crypto.timingSafeEqual(digest, Acl._digest(secret));
+    }
+    login(name, password) {
+        return this._users.find(user => user.name === name && Acl._equal(user.password, password)) || null;
+    }
+    authenticate(authorization = '') {
+        const [scheme, credentials = ''] = authorization.trim().split(/\s+/);
+        switch ((scheme || '').toLowerCase()) {
+        case 'bearer': {
+            return this._users.find(user => Acl._equal(user.token, credentials)) || null;
+        }
+        case 'basic': {
+            const text = Buffer.from(credentials, 'base64').toString();
+            const colon = text.indexOf(':');
+            return colon === -1 ? null : this.login(text.slice(0, colon), text.slice(colon + 1));
+        }
+        default: {
+            return null;
+        }
+        }
+    }
+    static permits(user, namespace) {
+        // namespace is null for the default keyspace
+        if (user.admin || user.namespaces === null) {
+            return true;
+        }
+        return namespace !== null && user.namespaces.indexOf(namespace) !== -1;
+    }
+    static view(nosql, user, namespace = null) {
+        // clients never see the records namespaces keep in the default keyspace, admins included
+        if (nosql instanceof NoSql) {
+            return new UserView(nosql, user && !user.admin ? user : null, !user || user.admin || Acl.permits(user, namespace));
+        }
+        return user && !user.admin ? new UserView(nosql, user, Acl.permits(user, namespace)) : nosql;
+    }
+}
+
+class UserView {
+    constructor(nosql, user, permitted = true) {
+        // user is null for a client without restrictions, the view then only guards the namespaces' records
+        this._nosql = nosql;
+        this._user = user;
+        this._permitted = permitted;
+        this._guarded = nosql instanceof NoSql;
+    }
+    _allowed(key) {
+        if (!this._permitted || (this._guarded && key[0] === NAMESPACE_MARK)) {
+            return false;
+        }
+        const prefixes = this._user ? this._user.prefixes : null;
+        return prefixes === null || prefixes.some(prefix => key.length >= prefix.length && prefix.equals(key.slice(0, prefix.length)));
+    }
+    _key(key, write) {
+        key = toBuffer(key);
+        if (this._guarded && key[0] === NAMESPACE_MARK) {
+            throw new AccessError('keys starting with a zero byte are reserved for namespaces');
+        }
+        if (write && this._user && this._user.readonly) {
+            throw new AccessError(`user '${this._user.name}' is read only`);
+        }
+        if (!this._allowed(key)) {
+            throw new AccessError(`user '${this._user.name}' has no access to this key`);
+        }
+        return key;
+    }
+    scan(cursor = 0, count = SCAN_COUNT, match = null) {
+        const page = this._nosql.scan(cursor, count, match);
+        return { cursor: page.cursor, keys: page.keys.filter(key => this._allowed(key)) };
+    }
+}
+
+KEY_READS.forEach(method => {
+    UserView.prototype[method] = function (key, ...args) {
+        return this._nosql[method](this._key(key, false), ...args);
+    };
+});
+KEY_REMOVES.concat(KEY_WRITES).forEach(method => {
+    UserView.prototype[method] = function (key, ...args) {
+        return this._nosql[method](this._key(key, true), ...args);
+    };
+});
+
+const SNAPSHOT_MAGIC = Buffer.from('TINYFLY\0');
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_HEADER_SIZE = 24; // magic(8) + version(2) + record header size(2) + storage limit(4) + created(8)
+const SNAPSHOT_RECORD_HEADER_SIZE = 25; // expires(8) + version(8) + type(1) + key size(4) + value size(4)
+const SNAPSHOT_TRAILER_SIZE = 36; // records(4) + sha256(32)
+const SNAPSHOT_SLICE_SIZE = 0x100000;
+
+class SnapshotError extends Error {
+}
+
+class Snapshot {
+    constructor(storage) {
+        assert(storage && storage instanceof Storage);
+        this._storage = storage;
+    }
+    static _header(storage) {
+        const header = Buffer.alloc(SNAPSHOT_HEADER_SIZE);
+        SNAPSHOT_MAGIC.copy(header, 0);
+        header.writeUInt16BE(SNAPSHOT_VERSION, 8);
+        header.writeUInt16BE(SNAPSHOT_RECORD_HEADER_SIZE, 10);
+        header.writeUInt32BE(storage.capacity(), 12);
+        header.writeDoubleBE(Date.now(), 16);
+        return header;
+    }
+    static _slice(storage, cursor, limit, write) {
+        // writes records from cursor.offset on until about limit bytes are written, expired records are left out
+        let written = 0;
+        while (cursor.offset !== -1 && written < limit) {
+            const offset = cursor.offset;
+            cursor.offset = storage.next(offset);
+            if (!storage.isBusy(offset) || storage.isExpired(offset, cursor.now)) {
+                continue;
+            }
+            const key = storage.getKey(offset);
+            const value = storage.getValue(offset);
+            const record = Buffer.alloc(SNAPSHOT_RECORD_HEADER_SIZE + key.length + value.length);
+            record.writeDoubleBE(storage.getExpires(offset), 0);
+            record.writeDoubleBE(storage.getVersion(offset), 8);
+            record.writeUInt8(storage.getType(offset), 16);
+            record.writeUInt32BE(key.length, 17);
+            record.writeUInt32BE(value.length, 21);
+            key.copy(record, SNAPSHOT_RECORD_HEADER_SIZE);
+            value.copy(record, SNAPSHOT_RECORD_HEADER_SIZE + key.length);
+            write(record);
+            written += record.length;
+            cursor.records++;
+        }
+    }
+    static _trailer(records, hash) {
+        const trailer = Buffer.alloc(SNAPSHOT_TRAILER_SIZE);
+        trailer.writeUInt32BE(records, 0);
+        hash.update(trailer.slice(0, 4));
+        hash.digest().copy(trailer, 4);
+        return trailer;
+    }
+    static decode(image) {
+        if (image.length < SNAPSHOT_HEADER_SIZE + SNAPSHOT_TRAILER_SIZE || !image.slice(0, SNAPSHOT_MAGIC.length).equals(SNAPSHOT_MAGIC)) {
+            throw new SnapshotError('not a tinyfly snapshot');
+        }
+        const version = image.readUInt16BE(8);
+        if (version !== SNAPSHOT_VERSION) {
+            throw new SnapshotError(`snapshot format ${version} is not supported`);
+        }
+        const end = image.length - SNAPSHOT_TRAILER_SIZE;
+        const digest = crypto.createHash('sha256').update(image.slice(0, end + 4)).digest();
+        if (!digest.equals(image.slice(end + 4))) {
+            throw new SnapshotError('snapshot checksum mismatch, the file is damaged or truncated');
+        }
+        // newer versions may add fields to the record header, they are skipped
+        const headerSize = image.readUInt16BE(10);
+        if (headerSize < SNAPSHOT_RECORD_HEADER_SIZE) {
+            throw new SnapshotError(`snapshot record header of ${headerSize} bytes is too short`);
+        }
+        const records = [];
+        let offset = SNAPSHOT_HEADER_SIZE;
+        while (offset < end) {
+            if (offset + headerSize > end) {
+                throw new SnapshotError('snapshot record is truncated');
+            }
+            const type = image.readUInt8(offset + 16);
+            const keySize = image.readUInt32BE(offset + 17);
+            const valueSize = image.readUInt32BE(offset + 21);
+            const start = offset + headerSize;
+            if (start + keySize + valueSize > end || keySize === 0 || !Object.keys(TYPE).some(name => TYPE[name] === type)) {
+                throw new SnapshotError('snapshot record is malformed');
+            }
+            records.push({
+                expires: image.readDoubleBE(offset),
+                version: image.readDoubleBE(offset + 8),
+                type,
+                key: image.slice(start, start + keySize),
+                value: image.slice(start + keySize, start + keySize + valueSize)
+            });
+            offset = start + keySize + valueSize;
+        }
+        if (records.length !== image.readUInt32BE(end)) {
+            throw new SnapshotError('snapshot record count mismatch');
+        }
+        return records;
+    }
+    image() {
+        const hash = crypto.createHash('sha256');
+        const chunks = [];
+        const write = (chunk) => {
+            hash.update(chunk);
+            chunks.push(chunk);
+        };
+        const cursor = { offset: 0, records: 0, now: Date.now() };
+        write(Snapshot._header(this._storage));
+        Snapshot._slice(this._storage, cursor, Infinity, write);
+        chunks.push(Snapshot._trailer(cursor.records, hash));
+        return Buffer.concat(chunks);
+    }
+    restore(image) {
+        // nothing is touched unless the whole image is valid
+        this._storage.load(Snapshot.decode(image));
+        return this;
+    }
+    save(fileName) {
+        // a copy of the storage is taken now, then encoded and written a slice at a time
+        // so requests are served while the snapshot is written
+        const storage = new Storage(this._storage.dump(), this._storage.capacity());
+        const tmpFileName = fileName + '.tmp';
+        return new Promise((resolve, reject) => {
+            fs.open(tmpFileName, 'w', (err, fd) => {
+                if (err) {
+                    return reject(err);
+                }
+                const hash = crypto.createHash('sha256');
+                const out = fs.createWriteStream(null, { fd, autoClose: false });
+                let ready = true;
+                let failed = false;
+                const write = (chunk) => {
+                    hash.update(chunk);
+                    ready = out.write(chunk) && ready;
+                };
+                // the last good snapshot is only replaced by a complete one
+                const fail = (err) => {
+                    if (failed) {
+                        return;
+                    }
+                    failed = true;
+                    fs.close(fd, () => {
+                        fs.unlink(tmpFileName, () => reject(err));
+                    });
+                };
+                const cursor = { offset: 0, records: 0, now: Date.now() };
+                const next = () => {
+                    if (failed) {
+                        return;
+                    }
+                    ready = true;
+                    Snapshot._slice(storage, cursor, SNAPSHOT_SLICE_SIZE, write);
+                    if (cursor.offset === -1) {
+                        return out.end(Snapshot._trailer(cursor.records, hash));
+                    }
+                    return ready ? setImmediate(next) : out.once('drain', next);
+                };
+                out.on('error', fail);
+                out.on('finish', () => {
+                    if (failed) {
+                        return;
+                    }
+                    fs.fsync(fd, err => {
+                        if (err) {
+                            return fail(err);
+                        }
+                        fs.close(fd, err => {
+                            if (err) {
+                                failed = true;
+                                return fs.unlink(tmpFileName, () => reject(err));
+                            }
+                            fs.rename(tmpFileName, fileName, err => {
+                                if (err) {
+                                    return fs.unlink(tmpFileName, () => reject(err));
+                                }
+                                Snapshot._syncDirectory(path.dirname(fileName), err => err ? reject(err) : resolve());
+                            });
+                        });
+                    });
+                });
+                write(Snapshot._header(storage));
+                next();
+            });
+        });
+    }
+    static _syncDirectory(directory, callback) {
+        // the rename only survives a crash once the directory is written, some platforms cannot open a directory
+        fs.open(directory, 'r', (err, fd) => {
+            if (err) {
+                return callback(err.code === 'EISDIR' || err.code === 'EPERM' ? null : err);
+            }
+            fs.fsync(fd, err => {
+                fs.close(fd, () => callback(err && err.code !== 'EINVAL' && err.code !== 'EPERM' ? err : null));
+            });
+        });
+    }
+    load(fileName) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(fileName, (err, image) => {
+                if (err) {
+                    return reject(err);
+                }
+                try {
+                    return resolve(this.restore(image));
+                } catch (ex) {
+                    return reject(ex);
+                }
+            });
+        })
+    }
+    static toJson(record, encoding = 'utf8') {
+        const name = Object.keys(TYPE).find(name => TYPE[name] === record.type);
+        const items = record.type === TYPE.string ? null : unpackItems(record.value).map(item => item.toString(encoding));
+        let value;
+        if (record.type === TYPE.string) {
+            value = record.value.toString(encoding);
+        } else if (record.type === TYPE.hash) {
+            value = Object.create(null);
+            for (let i = 0; i < items.length; i += 2) {
+                value[items[i]] = items[i + 1];
+            }
+        } else {
+            value = items;
+        }
+        const line = { key: record.key.toString(encoding), type: name, value };
+        if (record.expires !== NEVER) {
+            line.expires = record.expires;
+        }
+        return JSON.stringify(line);
+    }
+    static fromJson(text, encoding = 'utf8') {
+        const line = JSON.parse(text);
+        if (!line || typeof line.key !== 'string' || line.key.length === 0) {
+            throw new SnapshotError('every line needs a key');
+        }
+        const type = TYPE.hasOwnProperty(line.type || 'string') ? TYPE[line.type || 'string'] : -1;
+        const expires = line.expires === undefined ? NEVER : Number(line.expires);
+        if (type === -1 || !(expires >= 0)) {
+            throw new SnapshotError(`bad type or expires for key '${line.key}'`);
+        }
+        const buffer = (text) => {
+            if (typeof text !== 'string') {
+                throw new SnapshotError(`values of key '${line.key}' must be strings`);
+            }
+            return Buffer.from(text, encoding);
+        };
+        let value;
+        if (type === TYPE.string) {
+            value = buffer(line.value);
+        } else if (type === TYPE.hash) {
+            if (!line.value || typeof line.value !== 'object' || Array.isArray(line.value)) {
+                throw new SnapshotError(`value of hash '${line.key}' must be an object`);
+            }
+            value = packItems([].concat.apply([], Object.keys(line.value).map(field => [buffer(field), buffer(line.value[field])])));
+        } else {
+            if (!Array.isArray(line.value)) {
+                throw new SnapshotError(`value of ${line.type} '${line.key}' must be an array`);
+            }
+            value = packItems(line.value.map(buffer));
+        }
+        return { key: Buffer.from(line.key, encoding), value, expires, type };
+    }
+    export(encoding = 'utf8') {
+        const storage = this._storage;
+        const now = Date.now();
+        const lines = [];
+        for (let offset = 0; offset !== -1; offset = storage.next(offset)) {
+            if (storage.isBusy(offset) && !storage.isExpired(offset, now)) {
+                lines.push(Snapshot.toJson({
+                    key: storage.getKey(offset),
+                    value: storage.getValue(offset),
+                    expires: storage.getExpires(offset),
+                    type: storage.getType(offset)
+                }, encoding) + '\n');
+            }
+        }
+        return lines.join('');
+    }
+}
+
+const OP = Object.freeze({
+    SET: 1,
+    DELETE: 2,
+    CLEAR: 3
+});
+
+const FSYNC = Object.freeze({
+    ALWAYS: 'always',
+    EVERYSEC: 'everysec',
+    NO: 'no'
+});
+
+const OP_HEADER_SIZE = 18; // op(1) + expires(8) + key size(4) + value size(4) + type(1)
+
+class Journal {
+    constructor(fileName, snapshotFileName, fsync = FSYNC.EVERYSEC, rewriteSize = LOG_REWRITE_SIZE) {
+        assert(fileName);
+        assert(snapshotFileName);
+        assert(fsync === FSYNC.ALWAYS || fsync === FSYNC.EVERYSEC || fsync === FSYNC.NO);
+        assert(rewriteSize > 0);
+
+        this._fileName = fileName;
+        this._snapshotFileName = snapshotFileName;
+        this._fsync = fsync;
+        this._rewriteSize = rewriteSize;
+        this._fd = -1;
+        this._size = 0;
+        this._dirty = false;
+        this._pending = null;
+        this._timer = null;
+    }
+    static encode(op, key, value = '', expires = NEVER, type = TYPE.string) {
+        key = toBuffer(key);
+        value = toBuffer(value);
+        const record = Buffer.alloc(OP_HEADER_SIZE + key.length + value.length);
+        record.writeUInt8(op, 0);
+        record.writeDoubleBE(expires, 1);
+        record.writeUInt32BE(key.length, 9);
+        record.writeUInt32BE(value.length, 13);
+        record.writeUInt8(type, 17);
+        key.copy(record, OP_HEADER_SIZE);
+        value.copy(record, OP_HEADER_SIZE + key.length);
+        return record;
+    }
+    static decode(buffer, offset) {
+        if (buffer.length < offset + OP_HEADER_SIZE) {
+            return null;
+        }
+        const op = buffer.readUInt8(offset);
+        const expires = buffer.readDoubleBE(offset + 1);
+        const key_size = buffer.readUInt32BE(offset + 9);
+        const value_size = buffer.readUInt32BE(offset + 13);
+        const type = buffer.readUInt8(offset + 17);
+        const length = OP_HEADER_SIZE + key_size + value_size;
+        if ((op !== OP.SET && op !== OP.DELETE && op !== OP.CLEAR) || buffer.length < offset + length) {
+            return null;
+        }
+        const key = buffer.slice(offset + OP_HEADER_SIZE, offset + OP_HEADER_SIZE + key_size);
+        const value = buffer.slice(offset + OP_HEADER_SIZE + key_size, offset + length);
+        return { op, key, value, expires, type, length };
+    }
+    static apply(nosql, record, now = Date.now()) {
+        if (record.op === OP.CLEAR) {
+            nosql.clear();
+        } else if (nosql.has(record.key)) {
+            nosql.delete(record.key);
+        }
+        if (record.op === OP.SET && (record.expires === NEVER || record.expires > now)) {
+            nosql.set(record.key, record.value, record.expires, record.type);
+        }
+    }
+    open(nosql, snapshot) {
+        assert(nosql && nosql instanceof NoSql);
+        assert(snapshot && snapshot instanceof Snapshot);
+
+        this._nosql = nosql;
+        this._snapshot = snapshot;
+
+        return snapshot.load(this._snapshotFileName)
+            .then(_ => {
+                return nosql.reload();
+            }, ex => {
+                if (ex.code !== 'ENOENT') {
+                    throw ex;
+                }
+            })
+            .then(_ => {
+                return this._replay();
+            })
+            .then(size => {
+                this._fd = fs.openSync(this._fileName, 'a');
+                this._size = size;
+                fs.ftruncateSync(this._fd, size);
+
+                nosql.on('set', (key, value, expires, type) => {
+                    this._append(Journal.encode(OP.SET, key, value, expires, type));
+                });
+                nosql.on('delete', key => {
+                    this._append(Journal.encode(OP.DELETE, key));
+                });
+                nosql.on('evict', key => {
+                    this._append(Journal.encode(OP.DELETE, key));
+                });
+                nosql.on('clear', () => {
+                    this._append(Journal.encode(OP.CLEAR, ''));
+                });
+                nosql.on('reload', () => {
+                    // the storage was replaced as a whole, so the log no longer applies to it
+                    this.rewrite().catch(ex => {
+                        console.log(ex);
+                    });
+                });
+
+                if (this._fsync === FSYNC.EVERYSEC) {
+                    this._timer = setInterval(() => {
+                        if (this._dirty) {
+                            this._dirty = false;
+                            fs.fsync(this._fd, () => {});
+                        }
+                    }, 1000);
+                    this._timer.unref();
+                }
+                return this;
+            });
+    }
+    close() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        if (this._fd !== -1) {
+            fs.fsyncSync(this._fd);
+            fs.closeSync(this._fd);
+            this._fd = -1;
+        }
+        return this;
+    }
+    _replay() {
+        return new Promise((resolve, reject) => {
+            fs.readFile(this._fileName, (err, data) => {
+                if (err) {
+                    return err.code === 'ENOENT' ? resolve(0) : reject(err);
+                }
+                const now = Date.now();
+                let offset = 0;
+                for (;;) {
+                    const record = Journal.decode(data, offset);
+                    if (!record) {
+                        // anything after the last complete record is a torn write
+                        return resolve(offset);
+                    }
+                    Journal.apply(this._nosql, record, now);
+                    offset += record.length;
+                }
+            });
+        });
+    }
+    _append(record) {
+        fs.writeSync(this._fd, record);
+        this._size += record.length;
+        if (this._pending) {
+            this._pending.push(record);
+        }
+        if (this._fsync === FSYNC.ALWAYS) {
+            fs.fsyncSync(this._fd);
+        } else {
+            this._dirty = true;
+        }
+        if (this._size > this._rewriteSize && !this._pending) {
+            this.rewrite().catch(ex => {
+                console.log(ex);
+            });
+        }
+    }
+    rewrite() {
+        if (this._pending) {
+            return Promise.resolve(false);
+        }
+        this._pending = [];
+        return this._snapshot.save(this._snapshotFileName)
+            .then(_ => {
+                const log = Buffer.concat(this._pending);
+                const tmpFileName = this._fileName + '.tmp';
+                fs.writeFileSync(tmpFileName, log);
+                fs.renameSync(tmpFileName, this._fileName);
+                fs.closeSync(this._fd);
+                this._fd = fs.openSync(this._fileName, 'a');
+                this._size = log.length;
+                this._pending = null;
+                return true;
+            })
+            .catch(ex => {
+                this._pending = null;
+                throw ex;
+            });
+    }
+}
+
+const track = (server) => {
+    // open connections are kept so that close does not wait for idle clients
+    const sockets = new Set();
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => {
+            sockets.delete(socket);
+        });
+    });
+    return sockets;
+};
+
+const listen = (server, port, host) => {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.removeListener('error', reject);
+            resolve();
+        });
+    });
+};
+
+const close = (server, sockets) => {
+    return new Promise(resolve => {
+        server.close(() => resolve());
+        sockets.forEach(socket => {
+            socket.destroy();
+        });
+    });
+};
+
+const MAX_SYNC_LINE_SIZE = 0xff;
+
+class ReplicationServer {
+    constructor(plugins, port, host, backlogSize = REPL_BACKLOG_SIZE, options = {}) {
+        assert(backlogSize > 0);
+        this._plugins = plugins;
+        this._port = port || 17880;
+        this._host = host || '127.0.0.1';
+        this._backlogSize = backlogSize;
+        this._acl = options.acl || null;
+        this._tls = options.tls || null;
+        this._replicas = new Set();
+        this._reset();
+        this._server = this._tls
+            ? tls.createServer(this._tls, this._handler.bind(this))
+            : net.createServer(this._handler.bind(this));
+        this._sockets = track(this._server);
+
+        const nosql = plugins.nosql;
+        nosql.on('set', (key, value, expires, type) => {
+            this._feed(Journal.encode(OP.SET, key, value, expires, type));
+        });
+        nosql.on('delete', key => {
+            this._feed(Journal.encode(OP.DELETE, key));
+        });
+        nosql.on('evict', key => {
+            this._feed(Journal.encode(OP.DELETE, key));
+        });
+        nosql.on('clear', () => {
+            this._feed(Journal.encode(OP.CLEAR, ''));
+        });
+        nosql.on('reload', () => {
+            // a new history starts, replicas have to come back for a full sync
+            this._reset();
+            this._replicas.forEach(socket => {
+                socket.destroy();
+            });
+        });
+    }
+    _reset() {
+        this._id = crypto.randomBytes(20).toString('hex');
+        this._offset = 0;
+        this._backlog = [];
+        this._backlogOffset = 0;
+        this._backlogLength = 0;
+    }
+    _feed(record) {
+        this._backlog.push(record);
+        this._backlogLength += record.length;
+        this._offset += record.length;
+        while (this._backlogLength - this._backlog[0].length >= this._backlogSize) {
+            const first = this._backlog.shift();
+            this._backlogLength -= first.length;
+            this._backlogOffset += first.length;
+        }
+        this._replicas.forEach(socket => {
+            socket.write(record);
+        });
+    }
+    _since(offset) {
+        const records = [];
+        let position = this._backlogOffset;
+        this._backlog.forEach(record => {
+            if (position >= offset) {
+                records.push(record);
+            }
+            position += record.length;
+        });
+        return Buffer.concat(records);
+    }
+    _authenticate(line) {
+        // AUTH <name> <password> or AUTH <token>, only admins may copy everything
+        const [, name, ...rest] = line.split(' ');
+        const user = rest.length > 0
+            ? this._acl.login(name, rest.join(' '))
+            : this._acl.authenticate('Bearer ' + (name || ''));
+        return user !== null && user.admin;
+    }
+    _handler(socket) {
+        let line = '';
+        let authenticated = this._acl === null;
+        const onData = (chunk) => {
+            line += chunk.toString('latin1');
+            const end = line.indexOf('\n');
+            if (end === -1) {
+                if (line.length > MAX_SYNC_LINE_SIZE) {
+                    socket.destroy();
+                }
+                return;
+            }
+            const request = line.slice(0, end).trim();
+            line = line.slice(end + 1);
+            if (request.startsWith('AUTH ')) {
+                if (this._acl === null || !this._authenticate(request)) {
+                    return socket.end('-ERR invalid credentials\n');
+                }
+                authenticated = true;
+                socket.write('+OK\n');
+                return onData(Buffer.alloc(0));
+            }
+            socket.removeListener('data', onData);
+
+            const [command, id, text] = request.split(' ');
+            const offset = Number(text);
+            if (!authenticated) {
+                return socket.end('-ERR authentication required\n');
+            }
+            if (command !== 'PSYNC') {
+                return socket.end('-ERR expected PSYNC\n');
+            }
+            if (id === this._id && offset >= this._backlogOffset && offset <= this._offset) {
+                socket.write('+CONTINUE\n');
+                socket.write(this._since(offset));
+            } else {
+                const image = this._plugins.snapshot.image();
+                socket.write(`+FULLRESYNC ${this._id} ${this._offset} ${image.length}\n`);
+                socket.write(image);
+            }
+            this._replicas.add(socket);
+        };
+        socket.setKeepAlive(true);
+        socket.on('data', onData);
+        socket.on('close', () => {
+            this._replicas.delete(socket);
+        });
+        socket.on('error', () => {});
+    }
+    info() {
+        return {
+            id: this._id,
+            offset: this._offset,
+            backlog: this._backlogLength,
+            replicas: this._replicas.size
+        };
+    }
+    start() {
+        return listen(this._server, this._port, this._host).then(() => {
+            console.log(`tinyfly is opened replication server on ${this._host}:${this._port}`);
+            return this;
+        });
+    }
+    stop() {
+        return close(this._server, this._sockets).then(() => this);
+    }
+}
+
+const LINK = Object.freeze({
+    HANDSHAKE: 1,
+    IMAGE: 2,
+    STREAM: 3
+});
+
+class Replica {
+    constructor(plugins, port, host, options = {}) {
+        assert(port);
+        this._plugins = plugins;
+        this._port = port;
+        this._host = host || '127.0.0.1';
+        this._auth = options.auth || null; // { user, password } or { token }
+        this._tls = options.tls || null;
+        this._id = '?';
+        this._offset = -1;
+        this._socket = null;
+        this._timer = null;
+        this._stopped = true;
+        this._synced = false;
+    }
+    _connect() {
+        const link = { state: LINK.HANDSHAKE, buffer: Buffer.alloc(0), chunks: [], received: 0 };
+        const handshake = () => {
+            const auth = this._auth;
+            if (auth) {
+                socket.write(auth.token ? `AUTH ${auth.token}\n` : `AUTH ${auth.user} ${auth.password}\n`);
+            }
+            socket.write(`PSYNC ${this._id} ${this._offset}\n`);
+        };
+        const socket = this._tls
+            ? tls.connect(Object.assign({ port: this._port, host: this._host }, this._tls), handshake)
+            : net.connect(this._port, this._host, handshake);
+        socket.setKeepAlive(true);
+        socket.on('data', (chunk) => {
+            try {
+                this._receive(link, chunk);
+            } catch (ex) {
+                console.log(`tinyfly replication: ${ex.message}`);
+                socket.destroy();
+            }
+        });
+        socket.on('close', () => {
+            this._synced = false;
+            if (!this._stopped) {
+                this._timer = setTimeout(() => this._connect(), REPL_RETRY_INTERVAL);
+            }
+        });
+        socket.on('error', () => {});
+        this._socket = socket;
+    }
+    _receive(link, chunk) {
+        if (link.state === LINK.IMAGE) {
+            // the image can be large, so collect it without copying on every chunk
+            link.chunks.push(chunk);
+            link.received += chunk.length;
+            if (link.received < link.length) {
+                return;
+            }
+            const data = Buffer.concat(link.chunks);
+            link.chunks = [];
+            this._plugins.snapshot.restore(data.slice(0, link.length));
+            this._plugins.nosql.reload();
+            this._id = link.id;
+            this._offset = link.offset;
+            this._synced = true;
+            link.state = LINK.STREAM;
+            chunk = data.slice(link.length);
+        }
+
+        link.buffer = link.buffer.length > 0 ? Buffer.concat([link.buffer, chunk]) : chunk;
+
+        if (link.state === LINK.HANDSHAKE) {
+            const end = link.buffer.indexOf('\n');
+            if (end === -1) {
+                if (link.buffer.length > MAX_SYNC_LINE_SIZE) {
+                    throw new Error('invalid handshake');
+                }
+                return;
+            }
+            const text = link.buffer.slice(0, end).toString('latin1');
+            const [reply, id, offset, length] = text.split(' ');
+            const rest = link.buffer.slice(end + 1);
+            link.buffer = Buffer.alloc(0);
+            switch (reply) {
+            case '+OK': {
+                // the primary accepted the credentials, the PSYNC reply follows
+            }
+            break;
+            case '+CONTINUE': {
+                this._synced = true;
+                link.state = LINK.STREAM;
+            }
+            break;
+            case '+FULLRESYNC': {
+                Object.assign(link, { state: LINK.IMAGE, id, offset: Number(offset), length: Number(length) });
+            }
+            break;
+            default: {
+                throw new Error(reply[0] === '-' ? `primary refused: ${text.slice(1)}` : `unexpected reply '${reply}'`);
+            }
+            }
+            return this._receive(link, rest);
+        }
+
+        const now = Date.now();
+        let offset = 0;
+        for (;;) {
+            const record = Journal.decode(link.buffer, offset);
+            if (!record) {
+                break;
+            }
+            Journal.apply(this._plugins.nosql, record, now);
+            offset += record.length;
+        }
+        this._offset += offset;
+        link.buffer = link.buffer.slice(offset);
+    }
+    info() {
+        return {
+            primary: `${this._host}:${this._port}`,
+            link: this._synced ? 'up' : 'down',
+            id: this._id,
+            offset: this._offset
+        };
+    }
+    start() {
+        this._stopped = false;
+        this._connect();
+        return this;
+    }
+    stop() {
+        this._stopped = true;
+        clearTimeout(this._timer);
+        if (this._socket) {
+            this._socket.destroy();
+        }
+        return this;
+    }
+}
+
+const KEYSPACE = '__keyspace__:';
+const KEYEVENT = '__keyevent__:';
+
+class PubSub {
+    constructor(bufferSize = PUBSUB_BUFFER_SIZE) {
+        assert(bufferSize > 0);
+        this.bufferSize = bufferSize;
+        this._channels = new Map(); // channel -> subscribers
+        this._patterns = new Map(); // pattern -> { regexp, subscribers }
+        this._subscriptions = new Map(); // subscriber -> { channels, patterns }
+    }
+    attach(nosql) {
+        // keyspace notifications, channels are latin1 names like the keys in the index
+        const notify = (event, key) => {
+            if (this._subscriptions.size === 0) {
+                return;
+            }
+            key = toBuffer(key);
+            this.publish(KEYSPACE + NoSql._name(key), event);
+            this.publish(KEYEVENT + event, key);
+        };
+        nosql.on('set', key => notify('set', key));
+        nosql.on('delete', key => notify('del', key));
+        nosql.on('expire', key => notify('expired', key));
+        nosql.on('evict', key => notify('evicted', key));
+        nosql.on('clear', () => this.publish(KEYEVENT + 'clear', ''));
+        return this;
+    }
+    _get(subscriber) {
+        let subscription = this._subscriptions.get(subscriber);
+        if (!subscription) {
+            subscription = { channels: new Set(), patterns: new Set() };
+            this._subscriptions.set(subscriber, subscription);
+        }
+        return subscription;
+    }
+    count(subscriber) {
+        const subscription = this._subscriptions.get(subscriber);
+        if (!subscription) {
+            return 0;
+        }
+        const count = subscription.channels.size + subscription.patterns.size;
+        if (count === 0) {
+            this._subscriptions.delete(subscriber);
+        }
+        return count;
+    }
+    subscribe(subscriber, channel) {
+        if (!this._channels.has(channel)) {
+            this._channels.set(channel, new Set());
+        }
+        this._channels.get(channel).add(subscriber);
+        this._get(subscriber).channels.add(channel);
+        return this.count(subscriber);
+    }
+    unsubscribe(subscriber, channel) {
+        const subscribers = this._channels.get(channel);
+        if (subscribers) {
+            subscribers.delete(subscriber);
+            if (subscribers.size === 0) {
+                this._channels.delete(channel);
+            }
+        }
+        this._get(subscriber).channels.delete(channel);
+        return this.count(subscriber);
+    }
+    psubscribe(subscriber, pattern) {
+        if (!this._patterns.has(pattern)) {
+            this._patterns.set(pattern, { regexp: NoSql._glob(Buffer.from(pattern, 'latin1')), subscribers: new Set() });
+        }
+        this._patterns.get(pattern).subscribers.add(subscriber);
+        this._get(subscriber).patterns.add(pattern);
+        return this.count(subscriber);
+    }
+    punsubscribe(subscriber, pattern) {
+        const entry = this._patterns.get(pattern);
+        if (entry) {
+            entry.subscribers.delete(subscriber);
+            if (entry.subscribers.size === 0) {
+                this._patterns.delete(pattern);
+            }
+        }
+        this._get(subscriber).patterns.delete(pattern);
+        return this.count(subscriber);
+    }
+    channels(subscriber) {
+        const subscription = this._subscriptions.get(subscriber);
+        return subscription ? Array.from(subscription.channels) : [];
+    }
+    patterns(subscriber) {
+        const subscription = this._subscriptions.get(subscriber);
+        return subscription ? Array.from(subscription.patterns) : [];
+    }
+    remove(subscriber) {
+        this.channels(subscriber).forEach(channel => {
+            this.unsubscribe(subscriber, channel);
+        });
+        this.patterns(subscriber).forEach(pattern => {
+            this.punsubscribe(subscriber, pattern);
+        });
+        return this;
+    }
+    publish(channel, message) {
+        message = toBuffer(message);
+        let receivers = 0;
+        const subscribers = this._channels.get(channel);
+        if (subscribers) {
+            subscribers.forEach(subscriber => {
+                subscriber(channel, message);
+                receivers++;
+            });
+        }
+        this._patterns.forEach((entry, pattern) => {
+            if (entry.regexp.test(channel)) {
+                entry.subscribers.forEach(subscriber => {
+                    subscriber(channel, message, pattern);
+                    receivers++;
+                });
+            }
+        });
+        return receivers;
+    }
+    stats() {
+        return {
+            channels: this._channels.size,
+            patterns: this._patterns.size,
+            subscribers: this._subscriptions.size
+        };
+    }
+}
+
+const MAX_SCRIPT_SIZE = 0x10000;
+const SCRIPT_BOOT_TIMEOUT = 5000;
+const SCRIPT_GRACE = 50;
+
+// states of the channel between the server and the script worker
+const SCRIPT_STATE = Object.freeze({
+    IDLE: 0,
+    RUN: 1,
+    CALL: 2,
+    DONE: 3
+});
+const SCRIPT_CONTROL = Object.freeze({
+    STATE: 0,
+    LENGTH: 1,
+    READY: 2
+});
+
+class ScriptError extends Error {
+}
+
+// runs in the worker, it is started from its source so it must not use anything of this module
+const scriptWorker = () => {
+    'use strict';
+    const vm = require('vm');
+    const {parentPort, workerData} = require('worker_threads');
+    const STATE = workerData.state;
+    const CONTROL = workerData.control;
+    const control = new Int32Array(workerData.channel, 0, 3);
+    const data = new Uint8Array(workerData.channel, 12);
+    const scripts = new Map();
+
+    const write = (text) => {
+        const bytes = Buffer.from(text);
+        if (bytes.length > data.length) {
+            return false;
+        }
+        data.set(bytes);
+        control[CONTROL.LENGTH] = bytes.length;
+        return true;
+    };
+    const read = () => {
+        return Buffer.from(data.buffer, data.byteOffset, control[CONTROL.LENGTH]).toString();
+    };
+    // a call of the script blocks the worker until the server has answered it
+    const call = (op, key, value, ttl) => {
+        if (typeof key !== 'string' || (value !== undefined && typeof value !== 'string') || (ttl !== undefined && typeof ttl !== 'number')) {
+            return '!keys and values must be strings, ttl a number';
+        }
+        if (!write(JSON.stringify([op, key, value, ttl]))) {
+            return '!value is larger than the script memory';
+        }
+        Atomics.store(control, CONTROL.STATE, STATE.CALL);
+        Atomics.notify(control, CONTROL.STATE);
+        Atomics.wait(control, CONTROL.STATE, STATE.CALL);
+        return read();
+    };
+
+    // KEYS, ARGV and db are made inside the context, nothing of this realm is reachable from a script
+    const prepare = `(function (call, keys, args) {
+        'use strict';
+        const result = (reply) => {
+            if (reply[0] === '!') {
+                throw new Error(reply.slice(1));
+            }
+            return JSON.parse(reply.slice(1));
+        };
+        const api = Object.create(null);
+        api.get = (key) => result(call('get', key));
+        api.has = (key) => result(call('has', key));
+        api.set = (key, value, ttl = 0) => result(call('set', key, value, ttl));
+        api.delete = (key) => result(call('delete', key));
+        Object.defineProperty(globalThis, 'db', { value: Object.freeze(api) });
+        Object.defineProperty(globalThis, 'KEYS', { value: Object.freeze(JSON.parse(keys)) });
+        Object.defineProperty(globalThis, 'ARGV', { value: Object.freeze(JSON.parse(args)) });
+    })`;
+
+    parentPort.on('message', (job) => {
+        let reply;
+        try {
+            if (!scripts.has(job.sha)) {
+                if (scripts.size >= job.cacheSize) {
+                    scripts.delete(scripts.keys().next().value);
+                }
+                // errors are turned into strings inside the context, so no object of it leaves the context
+                scripts.set(job.sha, new vm.Script(`'use strict';(() => {
+                    try {
+                        return '+' + JSON.stringify((() => {\n${job.source}\n})());
+                    } catch (ex) {
+                        try {
+                            return '!' + (ex !== null && typeof ex === 'object' && 'message' in ex ? String(ex.message) : String(ex));
+                        } catch (_) {
+                            return '!script failed';
+                        }
+                    }
+                })();`, { filename: `script:${job.sha}`, lineOffset: -3 }));
+            }
+            const context = vm.createContext(Object.create(null), { microtaskMode: 'afterEvaluate' });
+            vm.runInContext(prepare, context)(call, JSON.stringify(job.keys), JSON.stringify(job.args));
+            reply = scripts.get(job.sha).runInContext(context, { timeout: job.timeout });
+            reply = typeof reply === 'string' ? reply : '!script failed';
+            reply = reply === '+undefined' ? '+null' : reply;
+        } catch (ex) {
+            reply = '!' + ex.message;
+        }
+        if (!write(reply)) {
+            write('!result is larger than the script memory');
+        }
+        Atomics.store(control, CONTROL.STATE, STATE.DONE);
+        Atomics.notify(control, CONTROL.STATE);
+    });
+    Atomics.store(control, CONTROL.READY, 1);
+    Atomics.notify(control, CONTROL.READY);
+};
+
+class Scripts {
+    constructor(timeout = SCRIPT_TIMEOUT, memory = SCRIPT_MEMORY_SIZE) {
+        assert(timeout > 0);
+        assert(memory >= SCRIPT_MEMORY_SIZE >> 3);
+        this._timeout = timeout;
+        this._memory = memory;
+        this._scripts = new Map(); // sha1 -> source
+        this._worker = null;
+        this._start();
+    }
+    get size() {
+        return this._scripts.size;
+    }
+    _start() {
+        // the channel holds one message at a time, a value or a result can be as large as the script's memory
+        const channel = new SharedArrayBuffer(12 + this._memory);
+        this._control = new Int32Array(channel, 0, 3);
+        this._data = new Uint8Array(channel, 12);
+        this._worker = new Worker(`(${scriptWorker.toString()})()`, {
+            eval: true,
+            workerData: { channel, state: SCRIPT_STATE, control: SCRIPT_CONTROL },
+            resourceLimits: { maxOldGenerationSizeMb: Math.ceil(this._memory / 0x100000), maxYoungGenerationSizeMb: 4 }
+        });
+        // a worker out of memory ends with an error, the server goes on
+        this._worker.on('error', () => {});
+        this._worker.unref();
+    }
+    _restart() {
+        this._worker.terminate();
+        this._start();
+    }
+    _write(text) {
+        const bytes = Buffer.from(text);
+        if (bytes.length > this._data.length) {
+            return false;
+        }
+        this._data.set(bytes);
+        this._control[SCRIPT_CONTROL.LENGTH] = bytes.length;
+        return true;
+    }
+    _read() {
+        return Buffer.from(this._data.buffer, this._data.byteOffset, this._control[SCRIPT_CONTROL.LENGTH]).toString();
+    }
+    static sha(source) {
+        return crypto.createHash('sha1').update(toBuffer(source)).digest('hex');
+    }
+    load(source) {
+        source = toBuffer(source);
+        if (source.length > MAX_SCRIPT_SIZE) {
+            throw new ScriptError(`scripts are limited to ${MAX_SCRIPT_SIZE} bytes`);
+        }
+        const sha = Scripts.sha(source);
+        if (this._scripts.has(sha)) {
+            return sha;
+        }
+        const text = source.toString();
+        try {
+            // only checked here, the worker compiles it again
+            new vm.Script(`(() => {\n${text}\n})`);
+        } catch (ex) {
+            throw new ScriptError(ex.message);
+        }
+        if (this._scripts.size >= SCRIPT_CACHE_SIZE) {
+            this._scripts.delete(this._scripts.keys().next().value);
+        }
+        this._scripts.set(sha, text);
+        return sha;
+    }
+    has(sha) {
+        return this._scripts.has(sha);
+    }
+    source(sha) {
+        return this._scripts.get(sha);
+    }
+    flush() {
+        this._scripts.clear();
+        return this;
+    }
+    _call(nosql, change, [op, name, value, ttl]) {
+        if (name.length === 0) {
+            throw new ScriptError('keys must be non-empty strings');
+        }
+        const key = Buffer.from(name);
+        switch (op) {
+        case 'get': {
+            const found = nosql.get(key);
+            return found === undefined ? null : found.toString();
+        }
+        case 'has': {
+            return nosql.has(key);
+        }
+        case 'set': {
+            if (!(ttl >= 0)) {
+                throw new ScriptError('ttl must be a number of seconds');
+            }
+            if (!nosql.put(change(key), Buffer.from(value), ttl > 0 ? Date.now() + ttl * 1000 : NEVER)) {
+                throw new ScriptError('out of memory');
+            }
+            return true;
+        }
+        case 'delete': {
+            return nosql.delete(change(key));
+        }
+        default: {
+            throw new ScriptError(`unknown call '${op}'`);
+        }
+        }
+    }
+    run(sha, nosql, keys = [], args = []) {
+        const source = this._scripts.get(sha);
+        if (source === undefined) {
+            throw new ScriptError(`no script with sha ${sha}`);
+        }
+        const control = this._control;
+        if (Atomics.wait(control, SCRIPT_CONTROL.READY, 0, SCRIPT_BOOT_TIMEOUT) === 'timed-out') {
+            this._restart();
+            throw new ScriptError('script worker did not start');
+        }
+        const undo = new Map();
+        const change = (key) => {
+            const name = NoSql._name(key);
+            if (!undo.has(name)) {
+                undo.set(name, { key, previous: nosql.entry(key) });
+            }
+            return key;
+        };
+
+        // the server waits for the script, no other request sees its changes halfway
+        let reply;
+        try {
+            control[SCRIPT_CONTROL.STATE] = SCRIPT_STATE.RUN;
+            this._worker.postMessage({ sha, source, keys: keys.map(String), args: args.map(String), timeout: this._timeout, cacheSize: SCRIPT_CACHE_SIZE });
+            const deadline = Date.now() + this._timeout + SCRIPT_GRACE;
+            for (;;) {
+                const left = deadline - Date.now();
+                if (left <= 0 || Atomics.wait(control, SCRIPT_CONTROL.STATE, SCRIPT_STATE.RUN, left) === 'timed-out') {
+                    // a worker that ran out of memory is gone and never answers
+                    this._restart();
+                    throw new ScriptError(`script ran longer than ${this._timeout} ms or out of its ${this._memory} bytes of memory`);
+                }
+                const state = Atomics.load(control, SCRIPT_CONTROL.STATE);
+                if (state === SCRIPT_STATE.DONE) {
+                    reply = this._read();
+                    break;
+                }
+                if (state === SCRIPT_STATE.CALL) {
+                    let result;
+                    try {
+                        result = '+' + JSON.stringify(this._call(nosql, change, JSON.parse(this._read())));
+                    } catch (ex) {
+                        result = '!' + ex.message;
+                    }
+                    if (!this._write(result)) {
+                        this._write('!value is larger than the script memory');
+                    }
+                    Atomics.store(control, SCRIPT_CONTROL.STATE, SCRIPT_STATE.RUN);
+                    Atomics.notify(control, SCRIPT_CONTROL.STATE);
+                }
+            }
+            if (reply[0] === '!') {
+                throw new ScriptError(reply.slice(1));
+            }
+            return JSON.parse(reply.slice(1));
+        } catch (ex) {
+            // a failed script leaves every key as it found it
+            Array.from(undo.values()).reverse().forEach(({key, previous}) => {
+                if (previous) {
+                    nosql.put(key, previous.value, previous.expires, previous.type);
+                } else {
+                    nosql.delete(key);
+                }
+            });
+            throw ex;
+        } finally {
+            control[SCRIPT_CONTROL.STATE] = SCRIPT_STATE.IDLE;
+        }
+    }
+    stop() {
+        this._worker.terminate();
+        return this;
+    }
+}
+
+const LATENCY_BUCKETS = Object.freeze([0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1]); // seconds
+const METRICS_MAX_METHODS = 256;
+
+class Metrics {
+    constructor(plugins) {
+        assert(plugins && plugins.nosql);
+        this._plugins = plugins;
+        this._started = Date.now();
+        this._requests = new Map();
+    }
+    record(protocol, method, started) {
+        const [seconds, nanoseconds] = process.hrtime(started);
+        const duration = seconds + nanoseconds / 1e9;
+        // redis command names come from clients, so their number is capped
+        if (!this._requests.has(protocol + ' ' + method) && this._requests.size >= METRICS_MAX_METHODS) {
+            method = 'OTHER';
+        }
+        const name = protocol + ' ' + method;
+        if (!this._requests.has(name)) {
+            this._requests.set(name, { protocol, method, count: 0, seconds: 0, buckets: LATENCY_BUCKETS.map(() => 0) });
+        }
+        const requests = this._requests.get(name);
+        requests.count++;
+        requests.seconds += duration;
+        LATENCY_BUCKETS.forEach((le, i) => {
+            if (duration <= le) {
+                requests.buckets[i]++;
+            }
+        });
+    }
+    info() {
+        const {nosql, pubsub, namespaces, replication, replica, cluster, scripts} = this._plugins;
+        const requests = {};
+        this._requests.forEach(({protocol, method, count, seconds}) => {
+            requests[protocol] = requests[protocol] || {};
+            requests[protocol][method] = { count, seconds, mean: seconds / count };
+        });
+        return {
+            server: {
+                pid: process.pid,
+                node: process.version,
+                uptime: Math.floor((Date.now() - this._started) / 1000),
+                rss: process.memoryUsage().rss
+            },
+            requests,
+            nosql: nosql.info(),
+            pubsub: pubsub ? pubsub.stats() : null,
+            namespaces: namespaces ? namespaces.list().length : 0,
+            scripts: scripts ? scripts.size : 0,
+            replication: Object.assign(
+                { role: replica ? 'replica' : 'primary' },
+                replication ? replication.info() : {},
+                replica ? { upstream: replica.info() } : {}
+            ),
+            cluster: cluster ? cluster.info() : null
+        };
+    }
+    prometheus() {
+        const info = this.info();
+        const {nosql, pubsub, replication} = info;
+        const lines = [];
+        const label = (value) => {
+            return String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n');
+        };
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP tinyfly_${name} ${help}`, `# TYPE tinyfly_${name} ${type}`);
+            (Array.isArray(samples) ? samples : [['', samples]]).forEach(([labels, value]) => {
+                lines.push(`tinyfly_${name}${labels} ${value}`);
+            });
+        };
+
+        const requests = Array.from(this._requests.values());
+        const labels = (entry) => {
+            return `protocol="${entry.protocol}",method="${label(entry.method)}"`;
+        };
+        metric('uptime_seconds', 'gauge', 'Seconds since the server started.', info.server.uptime);
+        metric('resident_memory_bytes', 'gauge', 'Resident memory of the process.', info.server.rss);
+        metric('requests_total', 'counter', 'Requests served by protocol and method.', requests.map(entry => {
+            return [`{${labels(entry)}}`, entry.count];
+        }));
+        lines.push('# HELP tinyfly_request_duration_seconds Time spent serving requests.', '# TYPE tinyfly_request_duration_seconds histogram');
+        requests.forEach(entry => {
+            LATENCY_BUCKETS.forEach((le, i) => {
+                lines.push(`tinyfly_request_duration_seconds_bucket{${labels(entry)},le="${le}"} ${entry.buckets[i]}`);
+            });
+            lines.push(
+                `tinyfly_request_duration_seconds_bucket{${labels(entry)},le="+Inf"} ${entry.count}`,
+                `tinyfly_request_duration_seconds_sum{${labels(entry)}} ${entry.seconds}`,
+                `tinyfly_request_duration_seconds_count{${labels(entry)}} ${entry.count}`
+            );
+        });
+
+        metric('keys', 'gauge', 'Keys in the index.', nosql.index.keys);
+        metric('expired_keys_total', 'counter', 'Keys removed because they expired.', nosql.expired);
+        metric('evicted_keys_total', 'counter', 'Keys removed by the maxmemory policy.', nosql.evicted);
+        metric('storage_bytes', 'gauge', 'Storage size, used and free bytes.', [
+            ['{state="size"}', nosql.size],
+            ['{state="used"}', nosql.used],
+            ['{state="free"}', nosql.free]
+        ]);
+        metric('storage_free_blocks', 'gauge', 'Free blocks in the storage.', nosql.freeBlocks);
+        metric('storage_fragmentation_ratio', 'gauge', 'Share of free bytes outside the largest free block.', nosql.fragmentation);
+
+        metric('cache_entries', 'gauge', 'Values held by the cache.', nosql.cache.entries);
+        metric('cache_size', 'gauge', 'Slots of the cache.', nosql.cache.size);
+        metric('cache_hits_total', 'counter', 'Cache lookups that found the key.', nosql.cache.hits);
+        metric('cache_misses_total', 'counter', 'Cache lookups that did not find the key.', nosql.cache.misses);
+
+        metric('index_buckets', 'gauge', 'Index buckets, all and in use.', [
+            ['{state="all"}', nosql.index.buckets],
+            ['{state="used"}', nosql.index.usedBuckets]
+        ]);
+        metric('index_load_factor', 'gauge', 'Keys per index bucket.', nosql.index.load);
+        metric('index_chain_length', 'gauge', 'Mean and longest chain of a used bucket.', [
+            ['{stat="mean"}', nosql.index.meanChain],
+            ['{stat="max"}', nosql.index.maxChain]
+        ]);
+        metric('index_nodes', 'gauge', 'Index nodes, all and in use.', [
+            ['{state="all"}', nosql.index.nodes.size],
+            ['{state="used"}', nosql.index.nodes.used]
+        ]);
+        metric('bloom_counters', 'gauge', 'Bloom filter counters, all, set and saturated.', [
+            ['{state="all"}', nosql.index.bloom.size],
+            ['{state="set"}', nosql.index.bloom.set],
+            ['{state="saturated"}', nosql.index.bloom.saturated]
+        ]);
+        metric('bloom_false_positive_ratio', 'gauge', 'False positive rate expected from the bits set.', nosql.index.bloom.falsePositiveRate);
+        metric('bloom_negatives_total', 'counter', 'Lookups of absent keys the bloom filter answered.', nosql.index.bloom.negatives);
+        metric('bloom_false_positives_total', 'counter', 'Lookups of absent keys the bloom filter let through.', nosql.index.bloom.falsePositives);
+
+        if (pubsub) {
+            metric('pubsub_subscribers', 'gauge', 'Connected subscribers.', pubsub.subscribers);
+            metric('pubsub_channels', 'gauge', 'Channels with subscribers.', pubsub.channels);
+            metric('pubsub_patterns', 'gauge', 'Patterns with subscribers.', pubsub.patterns);
+        }
+        metric('namespaces', 'gauge', 'Namespaces.', info.namespaces);
+        if (replication.offset !== undefined) {
+            metric('replication_offset_bytes', 'gauge', 'Bytes of changes sent to replicas.', replication.offset);
+            metric('replicas', 'gauge', 'Connected replicas.', replication.replicas);
+        }
+        if (replication.upstream) {
+            metric('replica_link_up', 'gauge', 'Whether the link to the primary is up.', replication.upstream.link === 'up' ? 1 : 0);
+            metric('replica_offset_bytes', 'gauge', 'Bytes of changes received from the primary.', replication.upstream.offset);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+const CLUSTER_NODE = /^[^\s:\/]+:\d{1,5}$/;
+const CLUSTER_FORWARDED = 'x-tinyfly-forwarded';
+
+class ClusterError extends Error {
+    constructor(node) {
+        // node is null when the keys belong to different nodes, the messages are the ones of a Redis cluster
+        super(node ? `MOVED ${node}` : 'CROSSSLOT Keys in request don\'t hash to the same node');
+        this.node = node;
+    }
+}
+
+class Ring {
+    constructor(hash) {
+        // similar names hash to near values, mixing spreads them over the whole ring
+        this._hash = (name) => BloomFilter._mix(hash(name));
+        this._nodes = [];
+        this._points = new Uint32Array(0);
+        this._owners = [];
+    }
+    set(nodes) {
+        // every node owns CLUSTER_VNODES points, a key belongs to the first point at or after its hash
+        this._nodes = Array.from(new Set(nodes)).sort();
+        const points = [];
+        this._nodes.forEach(node => {
+            for (let i = 0; i < CLUSTER_VNODES; i++) {
+                points.push({ point: this._hash(node + '#' + i), node });
+            }
+        });
+        points.sort((a, b) => a.point - b.point);
+        this._points = Uint32Array.from(points.map(point => point.point));
+        this._owners = points.map(point => point.node);
+        return this;
+    }
+    nodes() {
+        return this._nodes.slice();
+    }
+    owner(name) {
+        if (this._owners.length === 0) {
+            return null;
+        }
+        const hash = this._hash(name);
+        let low = 0;
+        let high = this._points.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (this._points[middle] < hash) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return this._owners[low % this._owners.length];
+    }
+}
+
+class Cluster {
+    constructor(plugins, self, getHashFunc, options = {}) {
+        assert(CLUSTER_NODE.test(self));
+        this._plugins = plugins;
+        this._self = self;
+        this._routing = options.routing || 'proxy';
+        this._token = options.token || '';
+        this._ring = new Ring(getHashFunc(1301));
+        this._agent = new http.Agent({ keepAlive: true });
+        // a new membership bumps the generation, which stops a migration of the previous one
+        this._generation = 0;
+        this._migrating = false;
+        this._migrated = 0;
+        this._timer = null;
+    }
+    get self() {
+        return this._self;
+    }
+    get routing() {
+        return this._routing;
+    }
+    nodes() {
+        return this._ring.nodes();
+    }
+    owner(key) {
+        // a namespace stays together on the node owning its name, the hash would stop at the zero byte of its prefix
+        const parsed = Namespaces._parse(toBuffer(key));
+        return this._ring.owner(parsed ? parsed.name : NoSql._name(toBuffer(key)));
+    }
+    locate(keys) {
+        // the node serving all of keys, self for none and null when they belong to different nodes
+        const nodes = new Set(keys.map(key => this.owner(key)));
+        if (nodes.size > 1) {
+            return null;
+        }
+        return nodes.size === 0 ? this._self : nodes.values().next().value;
+    }
+    set(nodes) {
+        assert(nodes.every(node => CLUSTER_NODE.test(node)));
+        this._ring.set(nodes);
+        this._migrate();
+        return this;
+    }
+    change(nodes) {
+        // the new membership is sent to every node of the old and the new one
+        const peers = new Set(this.nodes().concat(nodes));
+        peers.delete(this._self);
+        this.set(nodes);
+        return Promise.all(Array.from(peers).sort().map(node => {
+            return this._request(node, METHOD.PUT, 'admin/cluster', Buffer.from(JSON.stringify(nodes)))
+                .then(response => {
+                    return { node, code: response.code };
+                }, ex => {
+                    return { node, error: ex.message };
+                });
+        }));
+    }
+    _request(node, method, url, body = Buffer.alloc(0), headers = {}) {
+        const colon = node.lastIndexOf(':');
         return new Promise((resolve, reject) => {
-            fs.writeFile(fileName, this._space, 'binary', err => {
-                if (err) {
-                    return reject(err);
+            const request = http.request({
+                host: node.slice(0, colon),
+                port: Number(node.slice(colon + 1)),
+                method,
+                path: '/' + url,
+                agent: this._agent,
+                headers: Object.assign({}, this._token ? { authorization: 'Bearer ' + this._token } : {}, headers, {
+                    host: node,
+                    'content-length': body.length,
+                    [CLUSTER_FORWARDED]: this._self
+                })
+            }, response => {
+                const chunks = [];
+                response.on('data', chunk => {
+                    chunks.push(chunk);
+                });
+                response.on('end', () => {
+                    resolve({ code: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) });
+                });
+                response.on('error', reject);
+            });
+            request.setTimeout(CLUSTER_TIMEOUT, () => {
+                request.destroy(new Error(`cluster node ${node} timed out`));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+    forward(request, node) {
+        // the client's credentials go along, every node checks them again
+        const headers = Object.assign({}, request.headers);
+        ['connection', 'keep-alive', 'content-length', 'transfer-encoding'].forEach(name => {
+            delete headers[name];
+        });
+        return this._request(node, request.method, request.url, request.body, headers);
+    }
+    route(request, node, done) {
+        if (this._routing === 'redirect') {
+            return done(307, '', CONTENT_TYPE.TEXT, { Location: `http://${node}/${request.url}` });
+        }
+        this.forward(request, node)
+            .then(response => {
+                const passed = {};
+                ['etag', 'www-authenticate', 'location'].forEach(name => {
+                    if (name in response.headers) {
+                        passed[name] = response.headers[name];
+                    }
+                });
+                done(HTTP_CODE.hasOwnProperty(response.code) ? response.code : 502, response.body, response.headers['content-type'], passed);
+            }, ex => {
+                done(502, ex.message);
+            });
+    }
+    _migrate() {
+        // keys this node no longer owns are found with a scan and imported by their new owners
+        const nosql = this._plugins.nosql;
+        const generation = ++this._generation;
+        // the keys of namespaces are hidden from a plain scan, so a second pass goes over them
+        const passes = [null, Buffer.from([NAMESPACE_MARK, 0x2a])]; // '*'
+        let cursor = 0;
+        clearTimeout(this._timer);
+        this._migrating = true;
+        const step = () => {
+            if (generation !== this._generation) {
+                return;
+            }
+            const page = nosql.scan(cursor, SCAN_COUNT, passes[0]);
+            const batches = new Map();
+            page.keys.forEach(key => {
+                const node = this.owner(key);
+                const entry = node === this._self ? null : nosql.entry(key);
+                if (!entry) {
+                    return;
+                }
+                if (!batches.has(node)) {
+                    batches.set(node, []);
+                }
+                batches.get(node).push({
+                    key,
+                    version: entry.version,
+                    line: Snapshot.toJson({ key, value: entry.value, expires: entry.expires, type: entry.type }, 'base64')
+                });
+            });
+            Promise.all(Array.from(batches).map(([node, items]) => {
+                const body = Buffer.from(items.map(item => item.line).join('\n'));
+                return this._request(node, METHOD.POST, 'snapshot/import?encoding=base64', body)
+                    .then(response => {
+                        if (response.code !== 200) {
+                            throw new Error(`cluster node ${node} replied ${response.code} to a migration`);
+                        }
+                        // a key written meanwhile stays, the next membership change moves it
+                        items.forEach(item => {
+                            if (nosql.version(item.key) === item.version) {
+                                nosql.delete(item.key);
+                            }
+                        });
+                        this._migrated += items.length;
+                    });
+            }))
+                .then(() => {
+                    if (generation !== this._generation) {
+                        return;
+                    }
+                    cursor = page.cursor;
+                    if (cursor === 0) {
+                        passes.shift();
+                        if (passes.length === 0) {
+                            this._migrating = false;
+                            return;
+                        }
+                    }
+                    this._timer = setImmediate(step);
+                }, ex => {
+                    console.log(`tinyfly cluster: ${ex.message}`);
+                    this._timer = setTimeout(step, CLUSTER_RETRY_INTERVAL);
+                });
+        };
+        step();
+    }
+    info() {
+        return {
+            self: this._self,
+            routing: this._routing,
+            nodes: this.nodes(),
+            migrating: this._migrating,
+            migrated: this._migrated
+        };
+    }
+    stop() {
+        this._generation++;
+        clearTimeout(this._timer);
+        clearImmediate(this._timer);
+        this._migrating = false;
+        this._agent.destroy();
+        return this;
+    }
+}
+
+const PROTOCOL = 'HTTP/1.1';
+const LN = '\r\n';
+const MAX_HEADER_SIZE = 0xffff;
+const MAX_BODY_SIZE = TOTAL_MEMORY_SIZE;
+
+const METHOD = Object.freeze({
+    HEAD: 'HEAD',
+    GET: 'GET',
+    PUT: 'PUT',
+    POST: 'POST',
+    DELETE: 'DELETE'
+});
+
+const CONTENT_TYPE = Object.freeze({
+    TEXT: 'text/plain; charset=utf-8',
+    BINARY: 'application/octet-stream',
+    JSON: 'application/json',
+    EVENTS: 'text/event-stream',
+    METRICS: 'text/plain; version=0.0.4; charset=utf-8',
+    NDJSON: 'application/x-ndjson'
+});
+
+const HTTP_CODE = Object.freeze({
+    200: 'OK',
+    307: 'Temporary Redirect',
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    409: 'Conflict',
+    412: 'Precondition Failed',
+    413: 'Payload Too Large',
+    421: 'Misdirected Request',
+    500: 'Internal Server Error',
+    501: 'Not Implemented',
+    502: 'Bad Gateway',
+    507: 'Insufficient Storage'
+});
+
+const ACTION = Object.freeze({
+    incr: 'incr',
+    decr: 'decr',
+    append: 'append',
+    getset: 'getset',
+    setnx: 'setnx'
+});
+
+const TX_OP = Object.freeze({
+    get: 'get',
+    set: 'set',
+    delete: 'delete',
+    incr: 'incr',
+    append: 'append',
+    setnx: 'setnx',
+    getset: 'getset'
+});
+
+const BATCH = Object.freeze({
+    _mget: '_mget',
+    _mset: '_mset',
+    _mdelete: '_mdelete'
+});
+
+class HttpError extends Error {
+    constructor(code) {
+        super(HTTP_CODE[code]);
+        this.code = code;
+    }
+}
+
+// received data kept as its chunks, only the bytes that are read get copied
+class ChunkQueue {
+    constructor() {
+        this._chunks = [];
+    }
+    get empty() {
+        return this._chunks.length === 0;
+    }
+    first() {
+        return this._chunks.length > 0 ? this._chunks[0][0] : -1;
+    }
+    push(chunk) {
+        if (chunk.length > 0) {
+            this._chunks.push(chunk);
+        }
+        return this;
+    }
+    // removes up to size bytes
+    take(size) {
+        const parts = [];
+        while (size > 0 && this._chunks.length > 0) {
+            const first = this._chunks[0];
+            if (first.length <= size) {
+                this._chunks.shift();
+                parts.push(first);
+            } else {
+                this._chunks[0] = first.slice(size);
+                parts.push(first.slice(0, size));
+            }
+            size -= parts[parts.length - 1].length;
+        }
+        return parts;
+    }
+    // removes the next line and returns it without the separator, or null while it is incomplete
+    line(separator, limit, error) {
+        for (;;) {
+            if (this._chunks.length === 0) {
+                return null;
+            }
+            const first = this._chunks[0];
+            const eol = first.indexOf(separator);
+            if (eol !== -1) {
+                this.take(eol + separator.length);
+                return first.slice(0, eol);
+            }
+            if (first.length > limit) {
+                throw error();
+            }
+            if (this._chunks.length === 1) {
+                return null;
+            }
+            // only a part of a line is joined with the chunk after it
+            this._chunks.splice(0, 2, Buffer.concat([first, this._chunks[1]]));
+        }
+    }
+}
+
+// what HttpParser reads after the headers
+const BODY = Object.freeze({
+    length: 'length',
+    chunk: 'chunk',
+    chunkEnd: 'chunkEnd',
+    chunkSize: 'chunkSize',
+    trailer: 'trailer'
+});
+
+class HttpParser {
+    constructor(maxBodySize = MAX_BODY_SIZE) {
+        // a body is only joined once, when the request is complete
+        this._queue = new ChunkQueue();
+        this._maxBodySize = maxBodySize;
+        this._reset();
+    }
+    _reset() {
+        this._lines = [];
+        this._headSize = 0;
+        this._request = null;
+        this._part = null;
+        this._remaining = 0;
+        this._body = [];
+        this._bodySize = 0;
+    }
+    push(chunk) {
+        this._queue.push(chunk);
+        return this;
+    }
+    next() {
+        if (this._request === null && !this._readHead()) {
+            return null;
+        }
+        if (!this._readBody()) {
+            return null;
+        }
+        const request = this._request;
+        request.body = Buffer.concat(this._body, this._bodySize);
+        this._reset();
+        return request;
+    }
+    _readHead() {
+        for (;;) {
+            const line = this._readLine();
+            if (line === null) {
+                return false;
+            }
+            this._headSize += line.length + 2;
+            if (this._headSize > MAX_HEADER_SIZE) {
+                throw new HttpError(400);
+            }
+            if (line.length === 0) {
+                break;
+            }
+            this._lines.push(line);
+        }
+
+        const [method, url, protocol] = (this._lines[0] || '').split(' ');
+        if (!method || !url || url[0] !== '/' || !/^HTTP\/1\.[01]$/.test(protocol)) {
+            throw new HttpError(400);
+        }
+        const headers = HttpParser._parseHeaders(this._lines.slice(1));
+
+        if ('transfer-encoding' in headers) {
+            if (headers['transfer-encoding'].toLowerCase() !== 'chunked') {
+                throw new HttpError(501);
+            }
+            this._part = BODY.chunkSize;
+        } else {
+            const size = 'content-length' in headers ? Number(headers['content-length']) : 0;
+            if (!Number.isInteger(size) || size < 0) {
+                throw new HttpError(400);
+            }
+            if (size > this._maxBodySize) {
+                throw new HttpError(413);
+            }
+            this._part = BODY.length;
+            this._remaining = size;
+        }
+
+        const [path, args] = url.slice(1).split('?');
+        const connection = (headers.connection || '').toLowerCase();
+        this._request = {
+            method,
+            url: url.slice(1),
+            path,
+            query: querystring.parse(args || ''),
+            headers,
+            body: null,
+            keepAlive: protocol === PROTOCOL ? connection !== 'close' : connection === 'keep-alive'
+        };
+        return true;
+    }
+    _readBody() {
+        for (;;) {
+            switch (this._part) {
+            case BODY.length:
+            case BODY.chunk: {
+                this._queue.take(this._remaining).forEach(part => {
+                    this._body.push(part);
+                    this._bodySize += part.length;
+                    this._remaining -= part.length;
+                });
+                if (this._remaining > 0) {
+                    return false;
+                }
+                if (this._part === BODY.length) {
+                    return true;
+                }
+                this._part = BODY.chunkEnd;
+            }
+            break;
+            case BODY.chunkEnd: {
+                const line = this._readLine();
+                if (line === null) {
+                    return false;
+                }
+                if (line.length > 0) {
+                    throw new HttpError(400);
+                }
+                this._part = BODY.chunkSize;
+            }
+            break;
+            case BODY.chunkSize: {
+                const line = this._readLine();
+                if (line === null) {
+                    return false;
+                }
+                const hex = line.split(';')[0].trim();
+                if (!/^[0-9a-fA-F]+$/.test(hex)) {
+                    throw new HttpError(400);
+                }
+                const size = parseInt(hex, 16);
+                if (this._bodySize + size > this._maxBodySize) {
+                    throw new HttpError(413);
+                }
+                this._part = size === 0 ? BODY.trailer : BODY.chunk;
+                this._remaining = size;
+            }
+            break;
+            case BODY.trailer: {
+                const line = this._readLine();
+                if (line === null) {
+                    return false;
+                }
+                if (line.length === 0) {
+                    return true;
+                }
+            }
+            break;
+            }
+        }
+    }
+    _readLine() {
+        const line = this._queue.line(LN, MAX_HEADER_SIZE, () => new HttpError(400));
+        return line === null ? null : line.toString('latin1');
+    }
+    static _parseHeaders(lines) {
+        const headers = {};
+        lines.forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon <= 0) {
+                throw new HttpError(400);
+            }
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        });
+        return headers;
+    }
+}
+
+class RestServer {
+    constructor(plugins, port, host, options = {}) {
+        this._plugins = plugins;
+        this._port = port || 17878;
+        this._host = host || '0.0.0.0';
+        this._acl = options.acl || null;
+        this._snapshotDir = path.resolve(options.snapshotDir || '.');
+        this._tls = Boolean(options.tls);
+        // a body can be as large as the memory the server was given
+        this._maxBodySize = options.maxBodySize || MAX_BODY_SIZE;
+        this._server = options.tls
+            ? tls.createServer(options.tls, this._handler.bind(this))
+            : net.createServer(this._handler.bind(this));
+        this._sockets = track(this._server);
+    }
+    _snapshotPath(name) {
+        // snapshots are only written to and read from the snapshot directory
+        const file = path.resolve(this._snapshotDir, name);
+        const relative = path.relative(this._snapshotDir, file);
+        if (!name || !relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+            return null;
+        }
+        return file;
+    }
+    static _permitted(user, plugin, param, method, namespace) {
+        switch (plugin) {
+        case 'snapshot':
+        case 'admin':
+        case 'info':
+        case 'metrics':
+        case 'eval': {
+            return user.admin;
+        }
+        case 'events': {
+            return user.admin || (user.prefixes === null && user.namespaces === null && (method === METHOD.GET || !user.readonly));
+        }
+        case 'db': {
+            return Acl.permits(user, param);
+        }
+        default: {
+            return Acl.permits(user, namespace || null);
+        }
+        }
+    }
+    _reply(socket, keepAlive) {
+        return (code, body = '', type = Buffer.isBuffer(body) ? CONTENT_TYPE.BINARY : CONTENT_TYPE.TEXT, headers = {}) => {
+            body = toBuffer(body);
+            const head = [
+                PROTOCOL + ' ' + code + ' ' + HTTP_CODE[code],
+                'Content-Type: ' + type,
+                'Content-Length: ' + body.length,
+                'Connection: ' + (keepAlive ? 'keep-alive' : 'close')
+            ];
+            Object.keys(headers).forEach(name => {
+                head.push(name + ': ' + headers[name]);
+            });
+            // one write, a body sent apart from its head waits for the delayed ack of the head
+            const response = Buffer.concat([Buffer.from(head.join(LN) + LN + LN, 'latin1'), body]);
+            if (keepAlive) {
+                return socket.write(response);
+            }
+            return socket.end(response);
+        };
+    }
+    static _getExpires(query, headers) {
+        if ('ttl' in query) {
+            const ttl = Number(query.ttl);
+            return ttl > 0 ? Date.now() + ttl * 1000 : NaN;
+        }
+        if ('expires' in headers) {
+            // NEVER is 0, so the epoch and every other date that has passed are refused rather than kept forever
+            const expires = Date.parse(headers.expires);
+            return expires > Date.now() ? expires : NaN;
+        }
+        return NEVER;
+    }
+    static _isWrite(plugin, param, method) {
+        switch (plugin) {
+        case 'nosql': {
+            return method !== METHOD.GET && method !== METHOD.HEAD && !(method === METHOD.POST && param === BATCH._mget);
+        }
+        case 'snapshot': {
+            return param === 'restore' || param === 'import';
+        }
+        case 'tx':
+        case 'eval': {
+            return true;
+        }
+        case 'admin': {
+            return (param === 'namespaces' || param === 'cluster') && method !== METHOD.GET && method !== METHOD.HEAD;
+        }
+        case 'hash':
+        case 'list':
+        case 'set': {
+            return method !== METHOD.GET && method !== METHOD.HEAD;
+        }
+        default: {
+            return false;
+        }
+        }
+    }
+    static _isKey(plugin, param, method) {
+        switch (plugin) {
+        case 'nosql': {
+            return !!param && !(method === METHOD.POST && BATCH.hasOwnProperty(param));
+        }
+        case 'hash':
+        case 'list':
+        case 'set': {
+            return !!param;
+        }
+        default: {
+            return false;
+        }
+        }
+    }
+    static _etag(version) {
+        return '"' + version + '"';
+    }
+    static _precondition(headers, version) {
+        // version 0 means the key does not exist
+        const matches = (header) => {
+            return header.split(',').some(tag => {
+                tag = tag.trim();
+                return tag === '*' ? version !== 0 : version !== 0 && tag === RestServer._etag(version);
+            });
+        };
+        if ('if-match' in headers && !matches(headers['if-match'])) {
+            return false;
+        }
+        if ('if-none-match' in headers && matches(headers['if-none-match'])) {
+            return false;
+        }
+        return true;
+    }
+    _action(action, key, request, done, nosql) {
+        const {query, headers, body} = request;
+        try {
+            switch (action) {
+            case ACTION.incr:
+            case ACTION.decr: {
+                const text = 'by' in query ? query.by : body.toString().trim() || '1';
+                if (!/^-?\d+$/.test(text) || !Number.isSafeInteger(Number(text))) {
+                    return done(400);
+                }
+                const by = action === ACTION.incr ? Number(text) : -Number(text);
+                return done(200, String(nosql.incr(key, by)));
+            }
+            case ACTION.append: {
+                return done(200, String(nosql.append(key, body)));
+            }
+            case ACTION.getset: {
+                const value = nosql.getset(key, body);
+                return value === undefined ? done(404) : done(200, value);
+            }
+            case ACTION.setnx: {
+                const expires = RestServer._getExpires(query, headers);
+                if (isNaN(expires)) {
+                    return done(400);
+                }
+                return nosql.setnx(key, body, expires) ? done(200) : done(412);
+            }
+            }
+        } catch (ex) {
+            if (ex instanceof TypeError) {
+                return done(409, ex.message);
+            }
+            if (ex instanceof RangeError) {
+                return done(500, ex.message);
+            }
+            throw ex;
+        }
+    }
+    _handler(socket) {
+        const parser = new HttpParser(this._maxBodySize);
+        let busy = false;
+
+        const next = () => {
+            while (!busy && !socket.destroyed) {
+                let request;
+                try {
+                    request = parser.next();
+                } catch (ex) {
+                    busy = true;
+                    return this._reply(socket, false)(ex instanceof HttpError ? ex.code : 500);
+                }
+                if (!request) {
+                    return;
+                }
+
+                busy = true;
+                let sync = true;
+                const started = process.hrtime();
+                const reply = this._reply(socket, request.keepAlive);
+                const done = (code, body, type, headers) => {
+                    this._plugins.metrics.record('rest', request.method in METHOD ? request.method : 'OTHER', started);
+                    reply(code, request.method === METHOD.HEAD ? '' : body, type, headers);
+                    if (request.keepAlive) {
+                        busy = false;
+                        if (!sync) {
+                            next();
+                        }
+                    }
+                };
+                try {
+                    this._dispatch(request, done, socket);
+                } catch (ex) {
+                    if (ex instanceof WrongTypeError) {
+                        done(409, ex.message);
+                    } else if (ex instanceof AccessError) {
+                        done(403, ex.message);
+                    } else if (ex instanceof QuotaError) {
+                        done(507, ex.message);
+                    } else {
+                        done(500, ex);
+                    }
+                }
+                sync = false;
+            }
+        };
+
+        socket.on('data', (chunk) => {
+            parser.push(chunk);
+            next();
+        });
+        socket.on('error', () => {});
+    }
+    static _parseBatch(request) {
+        const text = request.body.toString();
+        const type = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (type === 'application/x-ndjson') {
+            return text.split('\n')
+                .filter(line => {
+                    return line.trim().length > 0;
+                })
+                .map(line => {
+                    return JSON.parse(line);
+                });
+        }
+        const items = JSON.parse(text);
+        if (!Array.isArray(items)) {
+            throw new TypeError('batch body must be an array');
+        }
+        return items;
+    }
+    _batch(op, request, done, nosql) {
+        const encoding = request.query.encoding || 'utf8';
+        if (encoding !== 'utf8' && encoding !== 'base64') {
+            return done(400);
+        }
+        const decode = (text) => {
+            if (typeof text !== 'string' || text.length === 0) {
+                throw new TypeError('keys and values must be non-empty strings');
+            }
+            return Buffer.from(text, encoding);
+        };
+
+        let raw;
+        let items;
+        try {
+            raw = RestServer._parseBatch(request);
+            items = raw.map(item => {
+                if (op !== BATCH._mset) {
+                    return { key: decode(item) };
                 }
-                return resolve();
-            })
+                if (!item || typeof item !== 'object' || !('value' in item)) {
+                    throw new TypeError('_mset items must be objects with key and value');
+                }
+                if ('ttl' in item && !(typeof item.ttl === 'number' && item.ttl > 0)) {
+                    throw new TypeError('ttl must be a positive number');
+                }
+                const expires = 'ttl' in item ? Date.now() + item.ttl * 1000 : NEVER;
+                return { key: decode(item.key), value: item.value === '' ? Buffer.alloc(0) : decode(item.value), expires };
+            });
+        } catch (ex) {
+            return done(400, ex.message);
+        }
+
+        const atomic = op === BATCH._mset && (request.query.atomic === 'true' || request.query.atomic === '1');
+        const keys = items.map(item => item.key);
+        const cluster = this._plugins.cluster;
+        // a batch over several nodes is split between them, unless it is atomic or clients are redirected
+        if (cluster && cluster.routing === 'proxy' && !atomic && !request.namespace && !(CLUSTER_FORWARDED in request.headers) && cluster.locate(keys) === null) {
+            return this._splitBatch(op, request, raw, items, done, nosql);
+        }
+        if (this._routed(request, keys, done)) {
+            return;
+        }
+        const {code, results} = RestServer._runBatch(op, items, atomic, encoding, nosql);
+        return done(code, JSON.stringify(results), CONTENT_TYPE.JSON);
+    }
+    _splitBatch(op, request, raw, items, done, nosql) {
+        const cluster = this._plugins.cluster;
+        const encoding = request.query.encoding || 'utf8';
+        const parts = new Map(); // node -> indexes of its items
+        items.forEach((item, i) => {
+            const node = cluster.owner(item.key);
+            if (!parts.has(node)) {
+                parts.set(node, []);
+            }
+            parts.get(node).push(i);
+        });
+        const results = new Array(items.length);
+        const local = parts.get(cluster.self) || [];
+        parts.delete(cluster.self);
+        RestServer._runBatch(op, local.map(i => items[i]), false, encoding, nosql).results.forEach((result, j) => {
+            results[local[j]] = result;
+        });
+        // every other node gets its items as a JSON array, the first part that fails gives the reply
+        const headers = Object.assign({}, request.headers, { 'content-type': CONTENT_TYPE.JSON });
+        let failed = null;
+        Promise.all(Array.from(parts).map(([node, indexes]) => {
+            const body = Buffer.from(JSON.stringify(indexes.map(i => raw[i])));
+            return cluster.forward(Object.assign({}, request, { headers, body }), node)
+                .then(response => {
+                    if (response.code !== 200) {
+                        failed = failed || response;
+                        return;
+                    }
+                    JSON.parse(response.body.toString()).forEach((result, j) => {
+                        results[indexes[j]] = result;
+                    });
+                });
+        }))
+            .then(() => {
+                if (failed) {
+                    return done(HTTP_CODE.hasOwnProperty(failed.code) ? failed.code : 502, failed.body, failed.headers['content-type']);
+                }
+                return done(200, JSON.stringify(results), CONTENT_TYPE.JSON);
+            }, ex => {
+                done(502, ex.message);
+            });
+    }
+    static _runBatch(op, items, atomic, encoding, nosql) {
+        let results;
+        switch (op) {
+        case BATCH._mget: {
+            results = items.map(item => {
+                const value = nosql.get(item.key);
+                return { key: item.key.toString(encoding), value: value === undefined ? null : value.toString(encoding) };
+            });
+        }
+        break;
+        case BATCH._mdelete: {
+            results = items.map(item => {
+                return { key: item.key.toString(encoding), deleted: nosql.delete(item.key) };
+            });
+        }
+        break;
+        case BATCH._mset: {
+            const undo = [];
+            const rollback = () => {
+                undo.splice(0).reverse().forEach(change => {
+                    if (change.previous) {
+                        nosql.put(change.key, change.previous.value, change.previous.expires, change.previous.type);
+                    } else {
+                        nosql.delete(change.key);
+                    }
+                });
+            };
+            results = [];
+            for (let i = 0; i < items.length; i++) {
+                const item = items[i];
+                let ok;
+                try {
+                    const previous = atomic ? nosql.entry(item.key) : null;
+                    ok = nosql.put(item.key, item.value, item.expires);
+                    if (atomic && ok) {
+                        undo.push({ key: item.key, previous });
+                    }
+                } catch (ex) {
+                    // outside an atomic batch a forbidden or over quota key only fails itself
+                    if (atomic) {
+                        rollback();
+                    }
+                    if (atomic && !(ex instanceof QuotaError) || !(ex instanceof QuotaError || ex instanceof AccessError)) {
+                        throw ex;
+                    }
+                    ok = false;
+                }
+                results.push({ key: item.key.toString(encoding), ok });
+                if (atomic && !ok) {
+                    rollback();
+                    return { code: 507, results };
+                }
+            }
+        }
+        break;
+        }
+        return { code: 200, results };
+    }
+    _events(request, socket) {
+        // the connection stays busy for good, so nothing else is read from it
+        const pubsub = this._plugins.pubsub;
+        const list = (value) => {
+            return [].concat(value === undefined ? [] : value);
+        };
+        const channels = list(request.query.channel);
+        let matches = list(request.query.match);
+        if (channels.length === 0 && matches.length === 0) {
+            matches = ['*'];
+        }
+        const subscriber = (channel, message, pattern) => {
+            if (socket.writableLength > pubsub.bufferSize) {
+                pubsub.remove(subscriber);
+                return socket.destroy();
+            }
+            const name = Buffer.from(channel, 'latin1').toString();
+            let event, data;
+            if (channel.startsWith(KEYSPACE) && pattern !== undefined) {
+                [event, data] = [message.toString(), name.slice(KEYSPACE.length)];
+            } else if (channel === KEYEVENT + 'clear') {
+                [event, data] = ['clear', ''];
+            } else {
+                [event, data] = ['message', JSON.stringify({ channel: name, message: message.toString() })];
+            }
+            socket.write('event: ' + event + '\n' + data.split('\n').map(line => 'data: ' + line + '\n').join('') + '\n');
+        };
+        socket.on('close', () => {
+            pubsub.remove(subscriber);
+        });
+        socket.write([
+            PROTOCOL + ' 200 ' + HTTP_CODE[200],
+            'Content-Type: ' + CONTENT_TYPE.EVENTS,
+            'Cache-Control: no-cache',
+            'Connection: keep-alive'
+        ].join(LN) + LN + LN);
+        channels.forEach(channel => {
+            pubsub.subscribe(subscriber, NoSql._name(toBuffer(channel)));
+        });
+        matches.forEach(match => {
+            pubsub.psubscribe(subscriber, KEYSPACE + NoSql._name(toBuffer(match)));
+        });
+        if (matches.length > 0) {
+            pubsub.subscribe(subscriber, KEYEVENT + 'clear');
+        }
+    }
+    _tx(request, done, nosql) {
+        const encoding = request.query.encoding || 'utf8';
+        if (encoding !== 'utf8' && encoding !== 'base64') {
+            return done(400);
+        }
+        const decode = (text, empty = false) => {
+            if (typeof text !== 'string' || (text.length === 0 && !empty)) {
+                throw new TypeError('keys and values must be strings, keys non-empty');
+            }
+            return Buffer.from(text, encoding);
+        };
+        const encode = (value) => {
+            return value === undefined ? null : value.toString(encoding);
+        };
+
+        const tx = new Transaction(nosql);
+        const keys = [];
+        try {
+            const {watch = [], ops} = JSON.parse(request.body.toString());
+            if (!Array.isArray(watch) || !Array.isArray(ops)) {
+                throw new TypeError('watch and ops must be arrays');
+            }
+            watch.forEach(item => {
+                if (!item || !Number.isInteger(item.version) || item.version < 0) {
+                    throw new TypeError('watch items must be objects with key and version');
+                }
+                keys.push(decode(item.key));
+                tx.watch(keys[keys.length - 1], item.version);
+            });
+            ops.forEach(item => {
+                if (!item || !TX_OP.hasOwnProperty(item.op)) {
+                    throw new TypeError(`op must be one of ${Object.keys(TX_OP).join(', ')}`);
+                }
+                if ('ttl' in item && !(typeof item.ttl === 'number' && item.ttl > 0)) {
+                    throw new TypeError('ttl must be a positive number');
+                }
+                if ('by' in item && !Number.isSafeInteger(item.by)) {
+                    throw new TypeError('by must be an integer');
+                }
+                const key = decode(item.key);
+                keys.push(key);
+                const value = item.op === TX_OP.get || item.op === TX_OP.delete || item.op === TX_OP.incr ? null : decode(item.value, true);
+                const expires = 'ttl' in item ? Date.now() + item.ttl * 1000 : NEVER;
+                switch (item.op) {
+                case TX_OP.get: {
+                    return tx.queue([], () => encode(nosql.get(key)));
+                }
+                case TX_OP.set: {
+                    return tx.queue([key], () => {
+                        if (!nosql.put(key, value, expires)) {
+                            throw new RangeError('out of memory');
+                        }
+                        return true;
+                    });
+                }
+                case TX_OP.delete: {
+                    return tx.queue([key], () => nosql.delete(key));
+                }
+                case TX_OP.incr: {
+                    return tx.queue([key], () => nosql.incr(key, 'by' in item ? item.by : 1));
+                }
+                case TX_OP.append: {
+                    return tx.queue([key], () => nosql.append(key, value));
+                }
+                case TX_OP.setnx: {
+                    return tx.queue([key], () => nosql.setnx(key, value, expires));
+                }
+                case TX_OP.getset: {
+                    return tx.queue([key], () => encode(nosql.getset(key, value)));
+                }
+                }
+            });
+        } catch (ex) {
+            return done(400, ex.message);
+        }
+        // a transaction cannot be split, all its keys must belong to one node
+        if (this._routed(request, keys, done)) {
+            return;
+        }
+
+        let results;
+        try {
+            results = tx.exec();
+        } catch (ex) {
+            const body = JSON.stringify({ index: ex.index, error: ex.message });
+            const code = ex.cause instanceof TypeError ? 409 : ex.cause instanceof AccessError ? 403 : ex.cause instanceof QuotaError ? 507 : 500;
+            return done(code, body, CONTENT_TYPE.JSON);
+        }
+        if (results === null) {
+            return done(412, JSON.stringify({ aborted: true }), CONTENT_TYPE.JSON);
+        }
+        return done(200, JSON.stringify({ results }), CONTENT_TYPE.JSON);
+    }
+    _eval(request, done, nosql) {
+        const {query, body} = request;
+        const scripts = this._plugins.scripts;
+        const param = request.path.split('/')[1];
+        if (!scripts) {
+            return done(404, 'scripting is not enabled');
+        }
+        const list = (value) => {
+            return value === undefined ? [] : [].concat(value);
+        };
+        try {
+            if (param === 'load') {
+                return done(200, scripts.load(body));
+            }
+            if (param !== undefined && !scripts.has(param)) {
+                return done(404, `no script with sha ${param}`);
+            }
+            const keys = list(query.key);
+            const cluster = this._plugins.cluster;
+            // the node owning the keys may not have cached the script, so a proxied one takes its source along
+            if (param !== undefined && cluster && cluster.routing === 'proxy' && !(CLUSTER_FORWARDED in request.headers)) {
+                const node = cluster.locate(keys);
+                if (node !== null && node !== cluster.self) {
+                    const search = request.url.indexOf('?') === -1 ? '' : request.url.slice(request.url.indexOf('?'));
+                    request = Object.assign({}, request, { url: 'eval' + search, body: Buffer.from(scripts.source(param)) });
+                }
+            }
+            if (this._routed(request, keys, done)) {
+                return;
+            }
+            const sha = param === undefined ? scripts.load(body) : param;
+            return done(200, JSON.stringify(scripts.run(sha, nosql, keys, list(query.arg))), CONTENT_TYPE.JSON);
+        } catch (ex) {
+            if (!(ex instanceof ScriptError)) {
+                throw ex;
+            }
+            return done(400, ex.message);
+        }
+    }
+    _collection(plugin, request, done, nosql) {
+        const {method, query, body} = request;
+        const [, param, item] = request.path.split('/');
+        const encoding = query.encoding || 'utf8';
+        if (!param || (encoding !== 'utf8' && encoding !== 'base64')) {
+            return done(400);
+        }
+        const key = querystring.unescapeBuffer(param);
+        const name = item === undefined ? undefined : querystring.unescapeBuffer(item);
+        const json = (value) => {
+            return done(200, JSON.stringify(value), CONTENT_TYPE.JSON);
+        };
+        const found = (value) => {
+            return value === undefined ? done(404) : done(200, value);
+        };
+
+        switch (plugin) {
+        case 'hash': {
+            if (name === undefined) {
+                if (method !== METHOD.GET) {
+                    return done(501);
+                }
+                const hash = Object.create(null);
+                nosql.hgetall(key).forEach(pair => {
+                    hash[pair[0].toString(encoding)] = pair[1].toString(encoding);
+                });
+                return json(hash);
+            }
+            switch (method) {
+            case METHOD.GET: {
+                return found(nosql.hget(key, name));
+            }
+            case METHOD.PUT:
+            case METHOD.POST: {
+                nosql.hset(key, name, body);
+                return done(200);
+            }
+            case METHOD.DELETE: {
+                return nosql.hdel(key, name) ? done(200) : done(404);
+            }
+            default: {
+                return done(501);
+            }
+            }
+        }
+        case 'list': {
+            if (name === undefined) {
+                const start = Number(query.start || 0);
+                const stop = Number(query.stop || -1);
+                if (method !== METHOD.GET) {
+                    return done(501);
+                }
+                if (!Number.isInteger(start) || !Number.isInteger(stop)) {
+                    return done(400);
+                }
+                return json(nosql.lrange(key, start, stop).map(value => value.toString(encoding)));
+            }
+            if (method !== METHOD.POST) {
+                return done(501);
+            }
+            switch (item) {
+            case 'lpush':
+            case 'rpush': {
+                return done(200, String(nosql[item](key, body)));
+            }
+            case 'lpop':
+            case 'rpop': {
+                return found(nosql[item](key));
+            }
+            default: {
+                return done(501);
+            }
+            }
+        }
+        case 'set': {
+            if (name === undefined) {
+                if (method !== METHOD.GET) {
+                    return done(501);
+                }
+                return json(nosql.smembers(key).map(member => member.toString(encoding)));
+            }
+            switch (method) {
+            case METHOD.HEAD:
+            case METHOD.GET: {
+                return nosql.sismember(key, name) ? done(200) : done(404);
+            }
+            case METHOD.PUT:
+            case METHOD.POST: {
+                nosql.sadd(key, name);
+                return done(200);
+            }
+            case METHOD.DELETE: {
+                return nosql.srem(key, name) > 0 ? done(200) : done(404);
+            }
+            default: {
+                return done(501);
+            }
+            }
+        }
+        }
+    }
+    _dispatch(request, done, socket, nosql) {
+        const {method, query, headers, body} = request;
+        const [plugin, param, action] = request.path.split('/');
+
+        if (!(method in METHOD)) {
+            return done(501);
+        }
+        if (this._acl && request.user === undefined) {
+            request.user = this._acl.authenticate(headers.authorization);
+        }
+        if (this._acl && !request.user) {
+            return done(401, '', CONTENT_TYPE.TEXT, { 'WWW-Authenticate': 'Basic realm="tinyfly"' });
+        }
+        if (request.user && !RestServer._permitted(request.user, plugin, param, method, request.namespace)) {
+            return done(403, `user '${request.user.name}' has no access to /${plugin}`);
+        }
+        if (nosql === undefined) {
+            nosql = Acl.view(this._plugins.nosql, request.user);
+        }
+        if (this._plugins.replica && RestServer._isWrite(plugin, param, method)) {
+            return done(403, 'read only replica');
+        }
+        if (RestServer._isKey(plugin, param, method) && this._routed(request, [querystring.unescapeBuffer(param)], done)) {
+            return;
+        }
+        switch(plugin) {
+        case 'snapshot': {
+            switch(method) {
+            case METHOD.GET: {
+                const encoding = query.encoding || 'utf8';
+                if (param !== 'export' || (encoding !== 'utf8' && encoding !== 'base64')) {
+                    return done(param !== 'export' ? 501 : 400);
+                }
+                return done(200, this._plugins.snapshot.export(encoding), CONTENT_TYPE.NDJSON);
+            }
+            case METHOD.POST: {
+                switch(param) {
+                    case 'backup': {                            
+                        const file = this._snapshotPath(body.toString());
+                        if (!file) {
+                            return done(400, 'snapshot file must be inside the snapshot directory');
+                        }
+                        this._plugins.snapshot.save(file)
+                            .then(_ => {
+                                return done(200);
+                            })
+                            .catch(ex => {
+                                return done(500, ex);
+                            })
+                        ;                            
+                    }
+                    break;
+                    case 'restore': {
+                        const file = this._snapshotPath(body.toString());
+                        if (!file) {
+                            return done(400, 'snapshot file must be inside the snapshot directory');
+                        }
+                        this._plugins.snapshot.load(file)
+                            .then(_ => {
+                                this._plugins.nosql.reload();
+                                return done(200);
+                            })
+                            .catch(ex => {
+                                return done(ex instanceof SnapshotError || ex instanceof RangeError ? 400 : 500, ex.message);
+                            })
+                        ;                            
+                    }
+                    break;
+                    case 'import': {
+                        const encoding = query.encoding || 'utf8';
+                        if (encoding !== 'utf8' && encoding !== 'base64') {
+                            return done(400);
+                        }
+                        // every line is checked before the first one is stored
+                        let records;
+                        try {
+                            records = body.toString().split('\n')
+                                .filter(line => {
+                                    return line.trim().length > 0;
+                                })
+                                .map(line => {
+                                    return Snapshot.fromJson(line, encoding);
+                                });
+                        } catch (ex) {
+                            return done(400, ex.message);
+                        }
+                        // an import may carry namespaces, so it writes past the client's view
+                        const stored = records.findIndex(record => {
+                            return !this._plugins.nosql.put(record.key, record.value, record.expires, record.type);
+                        });
+                        return stored === -1 ? done(200, String(records.length)) : done(507, `stored ${stored} of ${records.length} keys`);
+                    }
+                    default: {
+                        return done(501);
+                    }
+                }
+            }
+            break;
+            default: {
+                return done(501);
+            }
+            }                
+        }
+        break;
+        case 'nosql': {
+            if (!param && method === METHOD.GET) {
+                const cursor = Number(query.cursor || 0);
+                const count = Number(query.count || SCAN_COUNT);
+                if (!(cursor >= 0 && cursor <= EOC && Number.isInteger(cursor)) || !(count > 0 && Number.isInteger(count))) {
+                    return done(400);
+                }
+                const page = nosql.scan(cursor, count, query.match);
+                return done(200, JSON.stringify({
+                    cursor: page.cursor,
+                    keys: page.keys.map(key => key.toString())
+                }), CONTENT_TYPE.JSON);
+            }
+            if (!param) {
+                return done(400);
+            }
+            if (method === METHOD.POST && BATCH.hasOwnProperty(param)) {
+                return this._batch(param, request, done, nosql);
+            }
+            const key = querystring.unescapeBuffer(param);
+            if (action !== undefined) {
+                if (method !== METHOD.POST || !ACTION.hasOwnProperty(action)) {
+                    return done(501);
+                }
+                return this._action(action, key, request, done, nosql);
+            }
+            switch(method) {
+            case METHOD.HEAD: {
+                const version = nosql.version(key);
+                if (version !== 0) {
+                    return done(200, '', CONTENT_TYPE.BINARY, { ETag: RestServer._etag(version) });
+                } else {
+                    return done(404);
+                }
+            }
+            case METHOD.GET: {
+                if ('ttl' in query) {
+                    const ttl = nosql.ttl(key);
+                    return ttl === -2 ? done(404) : done(200, String(ttl));
+                }
+                const version = nosql.version(key);
+                if (version !== 0) {                        
+                    return done(200, nosql.get(key), CONTENT_TYPE.BINARY, { ETag: RestServer._etag(version) });
+                } else {                        
+                    return done(404);
+                }
+            }
+            case METHOD.PUT: {
+                const expires = RestServer._getExpires(query, headers);
+                if (isNaN(expires)) {
+                    return done(400);
+                }
+                if (!RestServer._precondition(headers, nosql.version(key))) {
+                    return done(412);
+                }
+                if (nosql.put(key, body, expires)) {
+                    return done(200);
+                } else {
+                    return done(500);
+                }
+            }
+            case METHOD.POST: {
+                const expires = RestServer._getExpires(query, headers);
+                if (isNaN(expires)) {
+                    return done(400);
+                }
+                if (nosql.set(key, body, expires)) {
+                    return done(200);
+                } else {
+                    return done(500);
+                }
+            }
+            case METHOD.DELETE: {
+                if (!RestServer._precondition(headers, nosql.version(key))) {
+                    return done(412);
+                }
+                if (nosql.delete(key)) {
+                    return done(200);
+                } else {
+                    return done(404);
+                }
+            }
+            default: {
+                return done(501);
+            }
+            }                
+        }
+        break;
+        case 'db': {
+            // /db/<name>/... works like /nosql/... inside the namespace
+            if (param && this._routed(request, [Namespaces.prefix(param)], done)) {
+                return;
+            }
+            const namespace = param ? this._plugins.namespaces.get(param) : undefined;
+            if (!namespace) {
+                return done(404);
+            }
+            const rest = ['nosql'].concat(request.path.split('/').slice(2)).join('/');
+            return this._dispatch(Object.assign({}, request, { path: rest, namespace: param }), done, socket, Acl.view(namespace, request.user, param));
+        }
+        case 'hash':
+        case 'list':
+        case 'set': {
+            return this._collection(plugin, request, done, nosql);
+        }
+        case 'tx': {
+            if (param || method !== METHOD.POST) {
+                return done(501);
+            }
+            return this._tx(request, done, nosql);
+        }
+        case 'eval': {
+            if (method !== METHOD.POST) {
+                return done(501);
+            }
+            return this._eval(request, done, nosql);
+        }
+        case 'events': {
+            if (!param && method === METHOD.GET) {
+                return this._events(request, socket);
+            }
+            if (param && method === METHOD.POST) {
+                const receivers = this._plugins.pubsub.publish(NoSql._name(querystring.unescapeBuffer(param)), body);
+                return done(200, String(receivers));
+            }
+            return done(501);
+        }
+        case 'info': {
+            if (param || method !== METHOD.GET) {
+                return done(param ? 404 : 501);
+            }
+            return done(200, JSON.stringify(this._plugins.metrics.info()), CONTENT_TYPE.JSON);
+        }
+        case 'metrics': {
+            if (param || method !== METHOD.GET) {
+                return done(param ? 404 : 501);
+            }
+            return done(200, this._plugins.metrics.prometheus(), CONTENT_TYPE.METRICS);
+        }
+        case 'admin': {
+            switch(param) {
+            case 'stats': {
+                if (method !== METHOD.GET) {
+                    return done(501);
+                }
+                return done(200, JSON.stringify(this._plugins.nosql.stats()), CONTENT_TYPE.JSON);
+            }
+            case 'compact': {
+                if (method !== METHOD.POST) {
+                    return done(501);
+                }
+                const moved = this._plugins.nosql.compact();
+                return done(200, JSON.stringify(Object.assign({ moved }, this._plugins.nosql.stats())), CONTENT_TYPE.JSON);
+            }
+            case 'replication': {
+                if (method !== METHOD.GET) {
+                    return done(501);
+                }
+                const {replication, replica} = this._plugins;
+                const info = Object.assign(
+                    { role: replica ? 'replica' : 'primary' },
+                    replication ? replication.info() : {},
+                    replica ? { upstream: replica.info() } : {}
+                );
+                return done(200, JSON.stringify(info), CONTENT_TYPE.JSON);
+            }
+            case 'namespaces': {
+                const namespaces = this._plugins.namespaces;
+                const name = request.path.split('/')[2];
+                if (name === undefined) {
+                    return method === METHOD.GET ? done(200, JSON.stringify(namespaces.list()), CONTENT_TYPE.JSON) : done(501);
+                }
+                if (!NAMESPACE_NAME.test(name)) {
+                    return done(400, 'namespace names are 1 to 64 letters, digits, _, . or -');
+                }
+                if (this._routed(request, [Namespaces.prefix(name)], done)) {
+                    return;
+                }
+                switch (method) {
+                case METHOD.GET: {
+                    const found = namespaces.list().find(namespace => namespace.name === name);
+                    return found ? done(200, JSON.stringify(found), CONTENT_TYPE.JSON) : done(404);
+                }
+                case METHOD.PUT: {
+                    const limits = { keys: Number(query.keys || 0), bytes: Number(query.bytes || 0) };
+                    if (!Number.isSafeInteger(limits.keys) || limits.keys < 0 || !Number.isSafeInteger(limits.bytes) || limits.bytes < 0) {
+                        return done(400);
+                    }
+                    return namespaces.create(name, limits) ? done(200) : done(500);
+                }
+                case METHOD.DELETE: {
+                    return namespaces.drop(name) ? done(200) : done(404);
+                }
+                default: {
+                    return done(501);
+                }
+                }
+            }
+            case 'cluster': {
+                return this._cluster(request, done);
+            }
+            default: {
+                return done(404);
+            }
+            }
+        }
+        default: {
+            return done(404);
+        }
+        }
+    }
+    _routed(request, keys, done) {
+        // the keys of the default keyspace are served by the node owning them, forwarded requests stay here
+        const cluster = this._plugins.cluster;
+        if (!cluster || request.namespace || CLUSTER_FORWARDED in request.headers) {
+            return false;
+        }
+        const node = cluster.locate(keys);
+        if (node === cluster.self) {
+            return false;
+        }
+        if (node === null) {
+            done(421, 'the keys belong to different cluster nodes');
+        } else {
+            cluster.route(request, node, done);
+        }
+        return true;
+    }
+    _cluster(request, done) {
+        const {method, body} = request;
+        const cluster = this._plugins.cluster;
+        const node = request.path.split('/')[2];
+        if (!cluster) {
+            return done(404, 'cluster is not enabled');
+        }
+        const json = (value) => {
+            return done(200, JSON.stringify(value), CONTENT_TYPE.JSON);
+        };
+        if (node === undefined) {
+            switch (method) {
+            case METHOD.GET: {
+                return json(cluster.info());
+            }
+            case METHOD.PUT: {
+                // the node list sent by the node where the membership changed
+                let nodes;
+                try {
+                    nodes = JSON.parse(body.toString());
+                } catch (ex) {
+                    return done(400, 'cluster nodes must be a json array of host:port');
+                }
+                if (!Array.isArray(nodes) || nodes.length === 0 || !nodes.every(node => typeof node === 'string' && CLUSTER_NODE.test(node))) {
+                    return done(400, 'cluster nodes must be a json array of host:port');
+                }
+                cluster.set(nodes);
+                return json(cluster.info());
+            }
+            default: {
+                return done(501);
+            }
+            }
+        }
+        if (!CLUSTER_NODE.test(node)) {
+            return done(400, 'cluster nodes are host:port');
+        }
+        const nodes = cluster.nodes();
+        switch (method) {
+        case METHOD.PUT: {
+            if (nodes.indexOf(node) !== -1) {
+                return done(409, `${node} is already in the cluster`);
+            }
+            break;
+        }
+        case METHOD.DELETE: {
+            if (nodes.indexOf(node) === -1) {
+                return done(404);
+            }
+            if (nodes.length === 1) {
+                return done(409, 'the last node cannot leave the cluster');
+            }
+            break;
+        }
+        default: {
+            return done(501);
+        }
+        }
+        cluster.change(method === METHOD.PUT ? nodes.concat(node) : nodes.filter(name => name !== node))
+            .then(peers => {
+                json(Object.assign(cluster.info(), { peers }));
+            });
+    }
+    start() {
+        return listen(this._server, this._port, this._host).then(() => {
+            console.log(`tinyfly is opened ${this._tls ? 'tls ' : ''}server on ${this._host}:${this._port}`);
+            return this;
         });
     }
-    load(fileName) {
-        return new Promise((resolve, reject) => {
-            fs.readFile(fileName, (err, space) => {
-                if (err) {
-                    return reject(err);
+    stop() {
+        return close(this._server, this._sockets).then(() => this);
+    }
+}
+
+const MAX_BULK_SIZE = 0x20000000;
+const MAX_INLINE_SIZE = 0xffff;
+
+class RespError extends Error {
+}
+
+// write commands and the keys they change, null when they cannot be undone in a transaction
+const firstKey = (args) => {
+    return args.slice(0, 1);
+};
+const RESP_WRITE = Object.freeze({
+    SET: firstKey,
+    DEL: (args) => args,
+    MSET: (args) => args.filter((_, i) => i % 2 === 0),
+    INCR: firstKey,
+    DECR: firstKey,
+    INCRBY: firstKey,
+    DECRBY: firstKey,
+    APPEND: firstKey,
+    SETNX: firstKey,
+    GETSET: firstKey,
+    HSET: firstKey,
+    HDEL: firstKey,
+    LPUSH: firstKey,
+    RPUSH: firstKey,
+    LPOP: firstKey,
+    RPOP: firstKey,
+    SADD: firstKey,
+    SREM: firstKey,
+    FLUSHALL: null,
+    EVAL: null,
+    EVALSHA: null
+});
+
+// the keys of every command that has some, in a cluster they must all belong to the node asked
+const scriptKeys = (args) => {
+    return args.slice(2, 2 + Number(args[1]));
+};
+const RESP_KEYS = Object.freeze(Object.assign({}, RESP_WRITE, {
+    GET: firstKey,
+    EXISTS: (args) => args,
+    MGET: (args) => args,
+    TYPE: firstKey,
+    HGET: firstKey,
+    HGETALL: firstKey,
+    LRANGE: firstKey,
+    SISMEMBER: firstKey,
+    SMEMBERS: firstKey,
+    WATCH: (args) => args,
+    EVAL: scriptKeys,
+    EVALSHA: scriptKeys
+}));
+
+const RESP_TX = Object.freeze({
+    MULTI: 'MULTI',
+    EXEC: 'EXEC',
+    DISCARD: 'DISCARD',
+    WATCH: 'WATCH',
+    UNWATCH: 'UNWATCH'
+});
+
+const RESP_SUBSCRIBED = Object.freeze({
+    SUBSCRIBE: 'SUBSCRIBE',
+    PSUBSCRIBE: 'PSUBSCRIBE',
+    UNSUBSCRIBE: 'UNSUBSCRIBE',
+    PUNSUBSCRIBE: 'PUNSUBSCRIBE',
+    PING: 'PING'
+});
+
+class RespParser {
+    constructor() {
+        // a bulk string is only joined once, when it is complete
+        this._queue = new ChunkQueue();
+        this._args = null;
+        this._count = 0;
+        this._bulk = null;
+        this._remaining = 0;
+    }
+    push(chunk) {
+        this._queue.push(chunk);
+        return this;
+    }
+    next() {
+        if (this._args === null) {
+            if (this._queue.empty) {
+                return null;
+            }
+            if (this._queue.first() !== 0x2a) { // '*'
+                return this._nextInline();
+            }
+            const count = this._readNumber();
+            if (count === null) {
+                return null;
+            }
+            if (count < 0) {
+                throw new RespError('Protocol error: invalid multibulk length');
+            }
+            this._args = [];
+            this._count = count;
+        }
+
+        while (this._args.length < this._count) {
+            if (this._bulk === null) {
+                if (this._queue.empty) {
+                    return null;
+                }
+                if (this._queue.first() !== 0x24) { // '$'
+                    throw new RespError(`Protocol error: expected '$', got '${String.fromCharCode(this._queue.first())}'`);
                 }
-                return resolve(space.copy(this._space));
+                const size = this._readNumber();
+                if (size === null) {
+                    return null;
+                }
+                if (size < 0 || size > MAX_BULK_SIZE) {
+                    throw new RespError('Protocol error: invalid bulk length');
+                }
+                this._bulk = [];
+                this._remaining = size + 2;
+            }
+            this._queue.take(this._remaining).forEach(part => {
+                this._bulk.push(part);
+                this._remaining -= part.length;
             });
-        })
+            if (this._remaining > 0) {
+                return null;
+            }
+            const bulk = Buffer.concat(this._bulk);
+            this._args.push(bulk.slice(0, bulk.length - 2));
+            this._bulk = null;
+        }
+
+        const args = this._args;
+        this._args = null;
+        return args;
+    }
+    _nextInline() {
+        const line = this._queue.line('\n', MAX_INLINE_SIZE, () => new RespError('Protocol error: too big inline request'));
+        if (line === null) {
+            return null;
+        }
+        return line.toString().trim().split(/\s+/).filter(arg => arg.length > 0).map(arg => Buffer.from(arg));
+    }
+    // the number after a '*' or '$'
+    _readNumber() {
+        const line = this._queue.line(LN, 21, () => new RespError('Protocol error: invalid length'));
+        if (line === null) {
+            return null;
+        }
+        const text = line.toString('latin1', 1);
+        if (!/^-?\d+$/.test(text)) {
+            throw new RespError('Protocol error: invalid length');
+        }
+        return Number(text);
     }
 }
 
-const PROTOCOL = 'HTTP/1.1';
-const LN = '\r\n';
-
-const METHOD = Object.freeze({
-    HEAD: 'HEAD',
-    GET: 'GET',
-    PUT: 'PUT',
-    POST: 'POST',
-    DELETE: 'DELETE'
+const RESP = Object.freeze({
+    OK: Buffer.from('+OK' + LN),
+    PONG: Buffer.from('+PONG' + LN),
+    QUEUED: Buffer.from('+QUEUED' + LN),
+    NULL: Buffer.from('$-1' + LN),
+    NULL_ARRAY: Buffer.from('*-1' + LN),
+    error: (message) => {
+        return Buffer.from('-' + message.replace(/[\r\n]+/g, ' ') + LN);
+    },
+    integer: (n) => {
+        return Buffer.from(':' + n + LN);
+    },
+    bulk: (value) => {
+        if (value === undefined || value === null) {
+            return RESP.NULL;
+        }
+        value = toBuffer(value);
+        return Buffer.concat([Buffer.from('$' + value.length + LN), value, Buffer.from(LN)]);
+    },
+    array: (items) => {
+        return Buffer.concat([Buffer.from('*' + items.length + LN)].concat(items));
+    }
 });
 
-const HTTP_CODE = Object.freeze({
-    200: 'OK',
-    404: 'Not Found',
-    500: 'Internal Server Error',
-    501: 'Not Implemented'
-});
+// script results as Redis converts Lua values
+const scriptReply = (value) => {
+    if (value === null || value === false) {
+        return RESP.NULL;
+    }
+    if (value === true) {
+        return RESP.integer(1);
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? RESP.integer(value) : RESP.bulk(String(value));
+    }
+    if (Array.isArray(value)) {
+        return RESP.array(value.map(scriptReply));
+    }
+    return RESP.bulk(typeof value === 'string' ? value : JSON.stringify(value));
+};
 
-class RestServer {
-    constructor(plugins, port, host) {
+class RespServer {
+    constructor(plugins, port, host, options = {}) {
         this._plugins = plugins;
-        this._port = port || 17878;
+        this._acl = options.acl || null;
+        this._port = port || 17879;
         this._host = host || '0.0.0.0';
         this._server = net.createServer(this._handler.bind(this));
-    }
-    _reply(socket) {
-        return (code, body = '') => {            
-            return socket.end(PROTOCOL + ' ' + code + ' ' + HTTP_CODE[code] + LN + LN + body);
-        };
+        this._sockets = track(this._server);
     }
     _handler(socket) {
-        const done = this._reply(socket);
+        const parser = new RespParser();
+        const pubsub = this._plugins.pubsub;
+        const subscriber = (channel, message, pattern) => {
+            if (socket.writableLength > pubsub.bufferSize) {
+                pubsub.remove(subscriber);
+                return socket.destroy();
+            }
+            channel = Buffer.from(channel, 'latin1');
+            socket.write(pattern === undefined
+                ? RESP.array([RESP.bulk('message'), RESP.bulk(channel), RESP.bulk(message)])
+                : RESP.array([RESP.bulk('pmessage'), RESP.bulk(Buffer.from(pattern, 'latin1')), RESP.bulk(channel), RESP.bulk(message)])
+            );
+        };
+        const nosql = Acl.view(this._plugins.nosql, null);
+        const client = { subscriber, user: null, nosql, namespace: null, tx: new Transaction(nosql), multi: false, dirty: false };
+        socket.on('close', () => {
+            pubsub.remove(subscriber);
+        });
         socket.on('data', (chunk) => {
+            const replies = [];
+            parser.push(chunk);
+            for (;;) {
+                let args;
+                try {
+                    args = parser.next();
+                } catch (ex) {
+                    replies.push(RESP.error('ERR ' + ex.message));
+                    return socket.end(Buffer.concat(replies));
+                }
+                if (!args) {
+                    break;
+                }
+                if (args.length === 0) {
+                    continue;
+                }
+                const command = args[0].toString().toUpperCase();
+                if (command === 'QUIT') {
+                    replies.push(RESP.OK);
+                    return socket.end(Buffer.concat(replies));
+                }
+                const started = process.hrtime();
+                try {
+                    replies.push(this._execute(command, args.slice(1), client));
+                } catch (ex) {
+                    const prefix = ex instanceof WrongTypeError || ex instanceof ClusterError ? '' : ex instanceof AccessError ? 'NOPERM ' : 'ERR ';
+                    replies.push(RESP.error(prefix + ex.message));
+                }
+                this._plugins.metrics.record('resp', command, started);
+            }
+            if (replies.length > 0) {
+                socket.write(Buffer.concat(replies));
+            }
+        });
+        socket.on('error', () => {});
+    }
+    _transaction(command, args, client) {
+        switch (command) {
+        case 'MULTI': {
+            if (client.multi) {
+                throw new RespError('MULTI calls can not be nested');
+            }
+            client.multi = true;
+            return RESP.OK;
+        }
+        case 'WATCH': {
+            if (client.multi) {
+                throw new RespError('WATCH inside MULTI is not allowed');
+            }
+            if (args.length === 0) {
+                throw new RespError(`wrong number of arguments for 'watch' command`);
+            }
+            args.forEach(key => {
+                client.tx.watch(key);
+            });
+            return RESP.OK;
+        }
+        case 'UNWATCH': {
+            client.tx.unwatch();
+            return RESP.OK;
+        }
+        case 'DISCARD':
+        case 'EXEC': {
+            if (!client.multi) {
+                throw new RespError(`${command} without MULTI`);
+            }
+            const dirty = client.dirty;
+            client.multi = false;
+            client.dirty = false;
+            if (command === 'DISCARD' || dirty) {
+                client.tx = new Transaction(client.nosql);
+                return dirty && command === 'EXEC' ? RESP.error('EXECABORT Transaction discarded because of previous errors.') : RESP.OK;
+            }
+            try {
+                const results = client.tx.exec();
+                return results === null ? RESP.NULL_ARRAY : RESP.array(results);
+            } catch (ex) {
+                throw new RespError(`transaction rolled back, command ${ex.index + 1} failed: ${ex.message}`);
+            }
+        }
+        }
+    }
+    _queue(command, args, client) {
+        const keys = RESP_WRITE.hasOwnProperty(command) ? RESP_WRITE[command] : () => [];
+        if (keys === null || command === 'SELECT' || command === 'AUTH' || (RESP_SUBSCRIBED.hasOwnProperty(command) && command !== 'PING')) {
+            client.dirty = true;
+            throw new RespError(`'${command.toLowerCase()}' is not allowed in a transaction`);
+        }
+        client.tx.queue(keys(args), () => {
+            const reply = this._execute(command, args, client);
+            if (reply[0] === 0x2d) { // '-'
+                throw new RespError(reply.toString().slice(1).trim());
+            }
+            return reply;
+        });
+        return RESP.QUEUED;
+    }
+    _execute(command, args, client) {
+        const subscriber = client.subscriber;
+        const nosql = client.nosql;
+        const pubsub = this._plugins.pubsub;
+        const arity = (min, max = min) => {
+            if (args.length < min || args.length > max) {
+                throw new RespError(`wrong number of arguments for '${command.toLowerCase()}' command`);
+            }
+        };
+        const options = args.map(arg => {
+            return arg.toString().toUpperCase();
+        });
 
-            const [header, body] = chunk.toString().split(LN + LN);
-            const [method, url] = header.split(LN)[0].split(' ');
-            const [path, args] = url.slice(1).split('?');
-            const [plugin, param] = path.split('/');
-
-            assert(method in METHOD);
-            assert(plugin in this._plugins);
-
-            switch(plugin) {
-            case 'snapshot': {
-                switch(method) {
-                case METHOD.POST: {
-                    switch(param) {
-                        case 'backup': {                            
-                            this._plugins.snapshot.save(body)
-                                .then(_ => {
-                                    return done(200);
-                                })
-                                .catch(ex => {
-                                    return done(500, ex);
-                                })
-                            ;                            
-                        }
-                        break;
-                        case 'restore': {
-                            this._plugins.snapshot.load(body)
-                                .then(_ => {
-                                    return done(200);
-                                })
-                                .catch(ex => {
-                                    return done(500, ex);
-                                })
-                            ;                            
-                        }
-                        break;
-                        default: {
-                            return done(501);
-                        }
+        if (this._acl && !client.user && command !== 'AUTH') {
+            return RESP.error('NOAUTH Authentication required.');
+        }
+        if (pubsub.count(subscriber) > 0 && !RESP_SUBSCRIBED.hasOwnProperty(command)) {
+            throw new RespError(`Can't execute '${command.toLowerCase()}': only (P)SUBSCRIBE / (P)UNSUBSCRIBE / PING / QUIT are allowed in this context`);
+        }
+        if (this._plugins.replica && RESP_WRITE.hasOwnProperty(command)) {
+            return RESP.error(`READONLY You can't write against a read only replica.`);
+        }
+        // the node owning the keys, or the selected namespace, must be this one, a command queued in MULTI is checked twice
+        const cluster = this._plugins.cluster;
+        if (cluster && RESP_KEYS.hasOwnProperty(command) && RESP_KEYS[command] !== null) {
+            const node = cluster.locate(client.namespace === null ? RESP_KEYS[command](args) : [Namespaces.prefix(client.namespace)]);
+            if (node !== cluster.self) {
+                client.dirty = client.dirty || client.multi;
+                throw new ClusterError(node);
+            }
+        }
+        if (RESP_TX.hasOwnProperty(command)) {
+            return this._transaction(command, args, client);
+        }
+        if (client.multi) {
+            return this._queue(command, args, client);
+        }
+        const user = client.user;
+        const restricted = user !== null && !user.admin;
+        switch (command) {
+        case 'AUTH': {
+            arity(1, 2);
+            if (!this._acl) {
+                throw new RespError('AUTH called without any users configured');
+            }
+            const [name, password] = args.length === 2 ? args.map(String) : ['default', args[0].toString()];
+            const found = this._acl.login(name, password);
+            if (!found) {
+                return RESP.error('WRONGPASS invalid username-password pair');
+            }
+            client.user = found;
+            client.nosql = Acl.view(this._plugins.nosql, found);
+            client.namespace = null;
+            client.tx = new Transaction(client.nosql);
+            return RESP.OK;
+        }
+        case 'PING': {
+            arity(0, 1);
+            return args.length === 0 ? RESP.PONG : RESP.bulk(args[0]);
+        }
+        case 'GET': {
+            arity(1);
+            return RESP.bulk(nosql.get(args[0]));
+        }
+        case 'SET': {
+            if (args.length < 2) {
+                arity(2);
+            }
+            let expires = NEVER;
+            for (let i = 2; i < args.length; i++) {
+                const option = options[i];
+                if ((option === 'EX' || option === 'PX') && i + 1 < args.length) {
+                    const ttl = Number(options[++i]);
+                    if (!Number.isInteger(ttl) || ttl <= 0) {
+                        throw new RespError(`invalid expire time in 'set' command`);
                     }
+                    expires = Date.now() + (option === 'EX' ? ttl * 1000 : ttl);
+                } else {
+                    throw new RespError('syntax error');
                 }
-                break;
-                default: {
-                    return done(501);
-                }
-                }                
             }
-            break;
-            case 'nosql': {
-                switch(method) {
-                case METHOD.HEAD: {
-                    if (this._plugins.nosql.has(param)) {
-                        return done(200);
+            return nosql.put(args[0], args[1], expires) ? RESP.OK : RESP.error('ERR out of memory');
+        }
+        case 'DEL': {
+            arity(1, Infinity);
+            return RESP.integer(args.filter(key => nosql.delete(key)).length);
+        }
+        case 'EXISTS': {
+            arity(1, Infinity);
+            return RESP.integer(args.filter(key => nosql.has(key)).length);
+        }
+        case 'MGET': {
+            arity(1, Infinity);
+            return RESP.array(args.map(key => RESP.bulk(nosql.get(key))));
+        }
+        case 'MSET': {
+            if (args.length === 0 || args.length % 2 !== 0) {
+                throw new RespError(`wrong number of arguments for 'mset' command`);
+            }
+            // all or nothing, like in Redis
+            const undo = [];
+            const rollback = () => {
+                undo.reverse().forEach(change => {
+                    if (change.previous) {
+                        nosql.put(change.key, change.previous.value, change.previous.expires, change.previous.type);
                     } else {
-                        return done(404);
+                        nosql.delete(change.key);
                     }
+                });
+            };
+            for (let i = 0; i < args.length; i += 2) {
+                let previous, ok;
+                try {
+                    previous = nosql.entry(args[i]);
+                    ok = nosql.put(args[i], args[i + 1], NEVER);
+                } catch (ex) {
+                    rollback();
+                    throw ex;
                 }
-                case METHOD.GET: {
-                    if (this._plugins.nosql.has(param)) {                        
-                        return done(200, this._plugins.nosql.get(param));
-                    } else {                        
-                        return done(404);
-                    }
+                if (!ok) {
+                    rollback();
+                    return RESP.error('ERR out of memory');
                 }
-                case METHOD.PUT: {
-                    if (this._plugins.nosql.has(param)) {
-                        if (!this._plugins.nosql.delete(param)) {
-                            return done(500);
-                        }
-                    }
-                    if (this._plugins.nosql.set(param, body)) {
-                        return done(200);
-                    } else {
-                        return done(500);
+                undo.push({ key: args[i], previous });
+            }
+            return RESP.OK;
+        }
+        case 'INCR':
+        case 'DECR': {
+            arity(1);
+            return RESP.integer(nosql.incr(args[0], command === 'INCR' ? 1 : -1));
+        }
+        case 'INCRBY':
+        case 'DECRBY': {
+            arity(2);
+            const by = Number(options[1]);
+            if (!/^-?\d+$/.test(options[1]) || !Number.isSafeInteger(by)) {
+                throw new RespError('value is not an integer or out of range');
+            }
+            return RESP.integer(nosql.incr(args[0], command === 'INCRBY' ? by : -by));
+        }
+        case 'APPEND': {
+            arity(2);
+            return RESP.integer(nosql.append(args[0], args[1]));
+        }
+        case 'SETNX': {
+            arity(2);
+            return RESP.integer(nosql.setnx(args[0], args[1]) ? 1 : 0);
+        }
+        case 'GETSET': {
+            arity(2);
+            return RESP.bulk(nosql.getset(args[0], args[1]));
+        }
+        case 'SCAN': {
+            arity(1, 5);
+            const cursor = Number(options[0]);
+            if (!/^\d+$/.test(options[0]) || cursor > EOC) {
+                throw new RespError('invalid cursor');
+            }
+            let count = SCAN_COUNT;
+            let match = null;
+            for (let i = 1; i < args.length; i += 2) {
+                if (options[i] === 'MATCH' && i + 1 < args.length) {
+                    match = args[i + 1];
+                } else if (options[i] === 'COUNT' && i + 1 < args.length) {
+                    count = Number(options[i + 1]);
+                    if (!Number.isInteger(count) || count <= 0) {
+                        throw new RespError('value is not an integer or out of range');
                     }
+                } else {
+                    throw new RespError('syntax error');
                 }
-                case METHOD.POST: {
-                    if (this._plugins.nosql.set(param, body)) {
-                        return done(200);
-                    } else {
-                        return done(500);
-                    }
+            }
+            const page = nosql.scan(cursor, count, match);
+            return RESP.array([RESP.bulk(String(page.cursor)), RESP.array(page.keys.map(RESP.bulk))]);
+        }
+        case 'TYPE': {
+            arity(1);
+            return Buffer.from('+' + nosql.type(args[0]) + LN);
+        }
+        case 'HSET': {
+            if (args.length < 3 || args.length % 2 === 0) {
+                throw new RespError(`wrong number of arguments for 'hset' command`);
+            }
+            let added = 0;
+            for (let i = 1; i < args.length; i += 2) {
+                added += nosql.hset(args[0], args[i], args[i + 1]) ? 1 : 0;
+            }
+            return RESP.integer(added);
+        }
+        case 'HGET': {
+            arity(2);
+            return RESP.bulk(nosql.hget(args[0], args[1]));
+        }
+        case 'HDEL': {
+            arity(2, Infinity);
+            return RESP.integer(args.slice(1).filter(field => nosql.hdel(args[0], field)).length);
+        }
+        case 'HGETALL': {
+            arity(1);
+            return RESP.array([].concat(...nosql.hgetall(args[0])).map(RESP.bulk));
+        }
+        case 'LPUSH':
+        case 'RPUSH': {
+            arity(2, Infinity);
+            return RESP.integer(nosql[command.toLowerCase()](args[0], ...args.slice(1)));
+        }
+        case 'LPOP':
+        case 'RPOP': {
+            arity(1);
+            return RESP.bulk(nosql[command.toLowerCase()](args[0]));
+        }
+        case 'LRANGE': {
+            arity(3);
+            if (!/^-?\d+$/.test(options[1]) || !/^-?\d+$/.test(options[2])) {
+                throw new RespError('value is not an integer or out of range');
+            }
+            return RESP.array(nosql.lrange(args[0], Number(options[1]), Number(options[2])).map(RESP.bulk));
+        }
+        case 'SADD':
+        case 'SREM': {
+            arity(2, Infinity);
+            return RESP.integer(nosql[command.toLowerCase()](args[0], ...args.slice(1)));
+        }
+        case 'SISMEMBER': {
+            arity(2);
+            return RESP.integer(nosql.sismember(args[0], args[1]) ? 1 : 0);
+        }
+        case 'SMEMBERS': {
+            arity(1);
+            return RESP.array(nosql.smembers(args[0]).map(RESP.bulk));
+        }
+        case 'SUBSCRIBE':
+        case 'PSUBSCRIBE': {
+            arity(1, Infinity);
+            if (restricted && (user.prefixes !== null || user.namespaces !== null)) {
+                throw new AccessError(`user '${user.name}' may not subscribe`);
+            }
+            const kind = command.toLowerCase();
+            return Buffer.concat(args.map(arg => {
+                const count = pubsub[kind](subscriber, arg.toString('latin1'));
+                return RESP.array([RESP.bulk(kind), RESP.bulk(arg), RESP.integer(count)]);
+            }));
+        }
+        case 'UNSUBSCRIBE':
+        case 'PUNSUBSCRIBE': {
+            const kind = command.toLowerCase();
+            const names = args.length > 0
+                ? args.map(arg => arg.toString('latin1'))
+                : command === 'UNSUBSCRIBE' ? pubsub.channels(subscriber) : pubsub.patterns(subscriber);
+            if (names.length === 0) {
+                return RESP.array([RESP.bulk(kind), RESP.NULL, RESP.integer(pubsub.count(subscriber))]);
+            }
+            return Buffer.concat(names.map(name => {
+                const count = pubsub[kind](subscriber, name);
+                return RESP.array([RESP.bulk(kind), RESP.bulk(Buffer.from(name, 'latin1')), RESP.integer(count)]);
+            }));
+        }
+        case 'PUBLISH': {
+            arity(2);
+            if (restricted && (user.prefixes !== null || user.namespaces !== null || user.readonly)) {
+                throw new AccessError(`user '${user.name}' may not publish`);
+            }
+            return RESP.integer(pubsub.publish(args[0].toString('latin1'), args[1]));
+        }
+        case 'SELECT': {
+            arity(1);
+            // 0 is the default keyspace, as in Redis
+            const name = args[0].toString();
+            const cluster = this._plugins.cluster;
+            if (cluster && name !== '0' && cluster.owner(Namespaces.prefix(name)) !== cluster.self) {
+                throw new ClusterError(cluster.owner(Namespaces.prefix(name)));
+            }
+            const namespace = name === '0' ? this._plugins.nosql : this._plugins.namespaces.get(name);
+            if (!namespace) {
+                throw new RespError(`no such namespace '${name}'`);
+            }
+            client.nosql = Acl.view(namespace, user, name === '0' ? null : name);
+            client.namespace = name === '0' ? null : name;
+            client.tx = new Transaction(client.nosql);
+            return RESP.OK;
+        }
+        case 'FLUSHALL': {
+            arity(0, 1);
+            if (restricted) {
+                throw new AccessError(`user '${user.name}' may not flush all keys`);
+            }
+            this._plugins.nosql.clear();
+            return RESP.OK;
+        }
+        case 'EVAL':
+        case 'EVALSHA':
+        case 'SCRIPT': {
+            arity(command === 'SCRIPT' ? 1 : 2, Infinity);
+            const scripts = this._plugins.scripts;
+            if (!scripts) {
+                throw new RespError('scripting is not enabled');
+            }
+            if (restricted) {
+                throw new AccessError(`user '${user.name}' may not run scripts`);
+            }
+            if (command === 'SCRIPT') {
+                switch (options[0]) {
+                case 'LOAD': {
+                    arity(2);
+                    return RESP.bulk(scripts.load(args[1]));
                 }
-                case METHOD.DELETE: {
-                    if (this._plugins.nosql.delete(param)) {
-                        return done(200);
-                    } else {
-                        return done(404);
-                    }
+                case 'EXISTS': {
+                    arity(2, Infinity);
+                    return RESP.array(args.slice(1).map(sha => RESP.integer(scripts.has(sha.toString().toLowerCase()) ? 1 : 0)));
+                }
+                case 'FLUSH': {
+                    scripts.flush();
+                    return RESP.OK;
                 }
                 default: {
-                    return done(501);
+                    throw new RespError(`unknown subcommand '${args[0].toString()}'`);
+                }
                 }
-                }                
             }
-            break;
+            const count = Number(options[1]);
+            if (!/^\d+$/.test(options[1]) || count > args.length - 2) {
+                throw new RespError('Number of keys can\'t be greater than number of args');
+            }
+            const sha = command === 'EVAL' ? scripts.load(args[0]) : args[0].toString().toLowerCase();
+            if (!scripts.has(sha)) {
+                return RESP.error('NOSCRIPT No matching script. Please use EVAL.');
             }
-        });        
+            const strings = args.slice(2).map(String);
+            return scriptReply(scripts.run(sha, nosql, strings.slice(0, count), strings.slice(count)));
+        }
+        default: {
+            return RESP.error(`ERR unknown command '${command.toLowerCase()}'`);
+        }
+        }
     }
     start() {
-        this._server.listen(this._port, this._host, _ => {
-            console.log(`tinyfly is opened server on ${this._host}:${this._port}`);
+        return listen(this._server, this._port, this._host).then(() => {
+            console.log(`tinyfly is opened resp server on ${this._host}:${this._port}`);
+            return this;
         });
-        return this;
     }
     stop() {
-        this._server.close();
-        return this;
+        return close(this._server, this._sockets).then(() => this);
     }
 }
 
-Promise.all([ require('./hash').load() ])
-    .then(modules => {        
-        const F = {
-            getHashFunc: modules[0]
-        };
+const OPTIONS = Object.freeze({
+    host: { env: 'HOST', type: 'string', default: '0.0.0.0' },
+    port: { env: 'PORT', type: 'port', default: 17878 },
+    respPort: { env: 'RESP_PORT', type: 'port', default: 17879 },
+    memory: { env: 'MEMORY_SIZE', type: 'size', default: TOTAL_MEMORY_SIZE },
+    maxMemory: { env: 'MAX_MEMORY_SIZE', type: 'size', default: 0 },
+    indexSize: { env: 'INDEX_SIZE', type: 'size', default: INDEX_SIZE },
+    cacheSize: { env: 'CACHE_SIZE', type: 'integer', default: CACHE_SIZE },
+    maxmemoryPolicy: { env: 'MAXMEMORY_POLICY', type: Object.keys(POLICY).map(name => POLICY[name]), default: POLICY.NOEVICTION },
+    logFile: { env: 'LOG_FILE', type: 'string', default: '' },
+    logFsync: { env: 'LOG_FSYNC', type: [FSYNC.ALWAYS, FSYNC.EVERYSEC, FSYNC.NO], default: FSYNC.EVERYSEC },
+    logRewriteSize: { env: 'LOG_REWRITE_SIZE', type: 'size', default: LOG_REWRITE_SIZE },
+    snapshotFile: { env: 'SNAPSHOT_FILE', type: 'string', default: '' },
+    replication: { env: 'REPLICATION', type: ['off', 'on'], default: 'off' },
+    replHost: { env: 'REPL_HOST', type: 'string', default: '127.0.0.1' },
+    replPort: { env: 'REPL_PORT', type: 'port', default: 17880 },
+    replBacklogSize: { env: 'REPL_BACKLOG_SIZE', type: 'size', default: REPL_BACKLOG_SIZE },
+    replicaOf: { env: 'REPLICA_OF', type: 'string', default: '' },
+    replicaUser: { env: 'REPLICA_USER', type: 'string', default: '' },
+    replicaPassword: { env: 'REPLICA_PASSWORD', type: 'string', default: '' },
+    replicaToken: { env: 'REPLICA_TOKEN', type: 'string', default: '' },
+    replicaTls: { env: 'REPLICA_TLS', type: ['off', 'on'], default: 'off' },
+    replicaCa: { env: 'REPLICA_CA', type: 'string', default: '' },
+    pubsubBufferSize: { env: 'PUBSUB_BUFFER_SIZE', type: 'size', default: PUBSUB_BUFFER_SIZE },
+    aclFile: { env: 'ACL_FILE', type: 'string', default: '' },
+    tlsCert: { env: 'TLS_CERT', type: 'string', default: '' },
+    tlsKey: { env: 'TLS_KEY', type: 'string', default: '' },
+    snapshotDir: { env: 'SNAPSHOT_DIR', type: 'string', default: '.' },
+    clusterSelf: { env: 'CLUSTER_SELF', type: 'string', default: '' },
+    clusterNodes: { env: 'CLUSTER_NODES', type: 'string', default: '' },
+    clusterRouting: { env: 'CLUSTER_ROUTING', type: ['proxy', 'redirect'], default: 'proxy' },
+    clusterToken: { env: 'CLUSTER_TOKEN', type: 'string', default: '' },
+    scripting: { env: 'SCRIPTING', type: ['off', 'on'], default: 'off' },
+    scriptTimeout: { env: 'SCRIPT_TIMEOUT', type: 'integer', default: SCRIPT_TIMEOUT },
+    scriptMemory: { env: 'SCRIPT_MEMORY_SIZE', type: 'size', default: SCRIPT_MEMORY_SIZE }
+});
+
+const SIZE_UNITS = Object.freeze({ '': 1, k: 1 << 10, m: 1 << 20, g: 1 << 30 });
+
+const optionFlag = (name) => {
+    return '--' + name.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+};
+
+const optionLabel = (name) => {
+    return `${optionFlag(name)} (${OPTIONS[name].env})`;
+};
+
+const parseOption = (name, text) => {
+    const type = OPTIONS[name].type;
+    const label = optionLabel(name);
+    if (Array.isArray(type)) {
+        if (type.indexOf(text) === -1) {
+            throw new Error(`${label} must be one of ${type.join(', ')}, got '${text}'`);
+        }
+        return text;
+    }
+    switch (type) {
+    case 'string': {
+        return text;
+    }
+    case 'size': {
+        const match = /^(\d+)\s*([kmg]?)b?$/i.exec(text);
+        if (!match) {
+            throw new Error(`${label} must be a size such as 65536, 64kb or 16mb, got '${text}'`);
+        }
+        return Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()];
+    }
+    case 'integer':
+    case 'port': {
+        const value = Number(text);
+        if (!/^\d+$/.test(text) || (type === 'port' && (value === 0 || value > 0xffff))) {
+            throw new Error(`${label} must be a ${type === 'port' ? 'port number' : 'positive integer'}, got '${text}'`);
+        }
+        return value;
+    }
+    }
+};
+
+const configure = (argv, env) => {
+    const config = {};
+    Object.keys(OPTIONS).forEach(name => {
+        const text = env[OPTIONS[name].env];
+        config[name] = text === undefined || text === '' ? OPTIONS[name].default : parseOption(name, text);
+    });
+
+    const flags = {};
+    Object.keys(OPTIONS).forEach(name => {
+        flags[optionFlag(name)] = name;
+    });
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/);
+        if (!(flag in flags)) {
+            throw new Error(`unknown option '${flag}'`);
+        }
+        const text = inline !== undefined ? inline : argv[++i];
+        if (text === undefined) {
+            throw new Error(`option '${flag}' needs a value`);
+        }
+        config[flags[flag]] = parseOption(flags[flag], text);
+    }
+
+    return validate(config);
+};
+
+const validate = (config) => {
+    if (config.indexSize < INDEX_NODE_SIZE << 3) {
+        throw new Error(`${optionLabel('indexSize')} must be at least ${INDEX_NODE_SIZE << 3} bytes`);
+    }
+    if (config.memory - config.indexSize <= BLOCK_OVERHEAD) {
+        throw new Error(`${optionLabel('memory')} must be larger than ${optionLabel('indexSize')}`);
+    }
+    if (config.maxMemory === 0) {
+        config.maxMemory = MAX_STORAGE_SIZE + config.indexSize;
+    }
+    if (config.maxMemory < config.memory) {
+        throw new Error(`${optionLabel('maxMemory')} must not be smaller than ${optionLabel('memory')}`);
+    }
+    if (config.maxMemory - config.indexSize > MAX_STORAGE_SIZE) {
+        throw new Error(`${optionLabel('maxMemory')} must not exceed ${MAX_STORAGE_SIZE + config.indexSize} bytes`);
+    }
+    if (config.cacheSize === 0) {
+        throw new Error(`${optionLabel('cacheSize')} must be positive`);
+    }
+    if (config.logFile && !config.snapshotFile) {
+        config.snapshotFile = config.logFile + '.snapshot';
+    }
+    if (config.pubsubBufferSize === 0) {
+        throw new Error(`${optionLabel('pubsubBufferSize')} must be positive`);
+    }
+    if (config.replBacklogSize === 0) {
+        throw new Error(`${optionLabel('replBacklogSize')} must be positive`);
+    }
+    if (config.scriptTimeout === 0) {
+        throw new Error(`${optionLabel('scriptTimeout')} must be positive`);
+    }
+    if (config.scriptMemory < SCRIPT_MEMORY_SIZE >> 3) {
+        throw new Error(`${optionLabel('scriptMemory')} must be at least ${SCRIPT_MEMORY_SIZE >> 3} bytes`);
+    }
+    if (config.replicaOf) {
+        const match = /^(.*):(\d+)$/.exec(config.replicaOf);
+        if (!match || Number(match[2]) === 0 || Number(match[2]) > 0xffff) {
+            throw new Error(`${optionLabel('replicaOf')} must be host:port, got '${config.replicaOf}'`);
+        }
+        config.replicaHost = match[1] || '127.0.0.1';
+        config.replicaPort = Number(match[2]);
+    }
+    if (config.replicaUser && config.replicaToken) {
+        throw new Error(`${optionLabel('replicaUser')} and ${optionLabel('replicaToken')} cannot be used together`);
+    }
+    if (/\s/.test(config.replicaUser + config.replicaToken)) {
+        throw new Error(`${optionLabel('replicaUser')} and ${optionLabel('replicaToken')} cannot contain blanks`);
+    }
+    if (config.replicaCa && config.replicaTls === 'off') {
+        throw new Error(`${optionLabel('replicaCa')} needs ${optionLabel('replicaTls')} on`);
+    }
+    if (!config.tlsCert !== !config.tlsKey) {
+        throw new Error(`${optionLabel('tlsCert')} and ${optionLabel('tlsKey')} must be given together`);
+    }
+    if (config.clusterSelf && !CLUSTER_NODE.test(config.clusterSelf)) {
+        throw new Error(`${optionLabel('clusterSelf')} must be host:port of the rest api, got '${config.clusterSelf}'`);
+    }
+    // embedders may pass the nodes as an array
+    const nodes = Array.isArray(config.clusterNodes) ? config.clusterNodes : config.clusterNodes.split(',').map(node => node.trim()).filter(node => node);
+    if (nodes.length > 0 && !config.clusterSelf) {
+        throw new Error(`${optionLabel('clusterNodes')} needs ${optionLabel('clusterSelf')}`);
+    }
+    const invalid = nodes.find(node => !CLUSTER_NODE.test(node));
+    if (invalid !== undefined) {
+        throw new Error(`${optionLabel('clusterNodes')} must be a comma separated list of host:port, got '${invalid}'`);
+    }
+    config.clusterNodes = nodes.length > 0 || !config.clusterSelf ? nodes : [config.clusterSelf];
+    if (config.clusterSelf && (config.tlsCert || config.replicaOf)) {
+        throw new Error(`${optionLabel('clusterSelf')} cannot be used with ${optionLabel(config.tlsCert ? 'tlsCert' : 'replicaOf')}`);
+    }
+
+    return Object.freeze(config);
+};
 
-        const space = Buffer.alloc(TOTAL_MEMORY_SIZE);
+class Server {
+    constructor(config) {
+        this._config = config;
+        this._acl = config.aclFile ? Acl.load(config.aclFile) : null;
+        this._tls = config.tlsCert ? { cert: fs.readFileSync(config.tlsCert), key: fs.readFileSync(config.tlsKey) } : null;
+        this._plugins = null;
+        this._journal = null;
+        this._listeners = [];
+        this._timers = [];
+    }
+    get nosql() {
+        return this._plugins ? this._plugins.nosql : null;
+    }
+    _open(getHashFunc) {
+        const config = this._config;
+        const storage = new Storage(Buffer.alloc(config.memory - config.indexSize), config.maxMemory - config.indexSize).clear();
 
         const plugins = {
                 nosql: new NoSql(
-                    new Index(space.slice(0, INDEX_SIZE), F.getHashFunc).clear(),
-                    new Storage(space.slice(INDEX_SIZE)).clear(),
-                    new Cache(CACHE_SIZE, F.getHashFunc).clear()
+                    new Index(config.indexSize, getHashFunc).clear(),
+                    storage,
+                    new Cache(config.cacheSize, getHashFunc).clear(),
+                    config.maxmemoryPolicy
                 ),
-                snapshot: new Snapshot(space)
+                snapshot: new Snapshot(storage)
         };
+        plugins.pubsub = new PubSub(config.pubsubBufferSize).attach(plugins.nosql);
+        plugins.namespaces = new Namespaces(plugins.nosql);
+        plugins.metrics = new Metrics(plugins);
+        if (config.scripting === 'on') {
+            plugins.scripts = new Scripts(config.scriptTimeout, config.scriptMemory);
+        }
+        if (config.clusterSelf) {
+            plugins.cluster = new Cluster(plugins, config.clusterSelf, getHashFunc, { routing: config.clusterRouting, token: config.clusterToken });
+        }
+        this._plugins = plugins;
 
-        new RestServer(plugins, process.env.PORT).start();
+        if (!config.logFile) {
+            return Promise.resolve();
+        }
+        this._journal = new Journal(config.logFile, config.snapshotFile, config.logFsync, config.logRewriteSize);
+        return this._journal.open(plugins.nosql, plugins.snapshot);
     }
-)
-.catch(ex => {
-    console.log(ex);
-    process.exit();
-});
+    start() {
+        const config = this._config;
+        return require('./hash').load()
+            .then(getHashFunc => {
+                return this._open(getHashFunc);
+            })
+            .then(() => {
+                const plugins = this._plugins;
+                this._timers = [
+                    setInterval(() => plugins.nosql.expire(), SWEEP_INTERVAL).unref(),
+                    setInterval(() => {
+                        if (plugins.nosql.stats().fragmentation > COMPACT_FRAGMENTATION) {
+                            plugins.nosql.compact();
+                        }
+                    }, COMPACT_INTERVAL).unref()
+                ];
+
+                this._listeners = [
+                    new RestServer(plugins, config.port, config.host, { acl: this._acl, snapshotDir: config.snapshotDir, tls: this._tls, maxBodySize: config.memory }),
+                    new RespServer(plugins, config.respPort, config.host, { acl: this._acl })
+                ];
+                // a primary only opens its replication port when asked to, it hands out all data
+                if (config.replication === 'on') {
+                    plugins.replication = new ReplicationServer(plugins, config.replPort, config.replHost, config.replBacklogSize, { acl: this._acl, tls: this._tls });
+                    this._listeners.push(plugins.replication);
+                }
+                return Promise.all(this._listeners.map(listener => listener.start()));
+            })
+            .then(() => {
+                if (config.replicaOf) {
+                    this._plugins.replica = new Replica(this._plugins, config.replicaPort, config.replicaHost, {
+                        auth: config.replicaToken ? { token: config.replicaToken } : config.replicaUser ? { user: config.replicaUser, password: config.replicaPassword } : null,
+                        tls: config.replicaTls === 'on' ? (config.replicaCa ? { ca: fs.readFileSync(config.replicaCa) } : {}) : null
+                    }).start();
+                }
+                // keys loaded from the journal that other nodes own move once the api is up
+                if (this._plugins.cluster) {
+                    this._plugins.cluster.set(config.clusterNodes);
+                }
+                return this;
+            });
+    }
+    stop() {
+        this._timers.forEach(timer => {
+            clearInterval(timer);
+        });
+        this._timers = [];
+        if (this._plugins && this._plugins.replica) {
+            this._plugins.replica.stop();
+        }
+        if (this._plugins && this._plugins.cluster) {
+            this._plugins.cluster.stop();
+        }
+        if (this._plugins && this._plugins.scripts) {
+            this._plugins.scripts.stop();
+        }
+        return Promise.all(this._listeners.map(listener => listener.stop()))
+            .then(() => {
+                this._listeners = [];
+                if (this._journal) {
+                    this._journal.close();
+                }
+                return this;
+            });
+    }
+}
+
+const createServer = (options = {}) => {
+    const config = {};
+    Object.keys(OPTIONS).forEach(name => {
+        config[name] = OPTIONS[name].default;
+    });
+    Object.keys(options).forEach(name => {
+        if (!OPTIONS.hasOwnProperty(name)) {
+            throw new Error(`unknown option '${name}'`);
+        }
+        // sizes and ports may also be given as they are on the command line
+        config[name] = typeof options[name] === 'string' ? parseOption(name, options[name]) : options[name];
+    });
+    return new Server(validate(config));
+};
+
+const main = () => {
+    let server;
+    try {
+        server = new Server(configure(process.argv.slice(2), process.env));
+    } catch (ex) {
+        console.log(`tinyfly: ${ex.message}`);
+        process.exit(1);
+    }
+    server.start()
+        .catch(ex => {
+            console.log(ex);
+            process.exit(1);
+        });
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    BitMap,
+    BloomFilter,
+    Cache,
+    Storage,
+    Index,
+    NoSql,
+    Snapshot,
+    Server,
+    Client: require('./client'),
+    createServer,
+    main,
+    loadHash: require('./hash').load
+};